@@ -1,75 +1,556 @@
 #!/usr/bin/env node
 
 const path = require('path');
+const readline = require('readline');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const VoiceInputApp = require('./src/VoiceInputApp');
 const ProcessManager = require('./src/ProcessManager');
+const MicrophoneManager = require('./src/MicrophoneManager');
+const RecordingBackendFactory = require('./src/backends/RecordingBackendFactory');
+const ProviderHealthCheck = require('./src/ProviderHealthCheck');
+const ModelManager = require('./src/ModelManager');
+const VocabularyEngine = require('./src/VocabularyEngine');
+const CorrectionLearner = require('./src/CorrectionLearner');
+const { createLogger } = require('./src/LogManager');
+const ProviderFactory = require('./src/providers/ProviderFactory');
+
+/**
+ * `voice-input devices` - print capture sources so the right name can be
+ * copied into MICROPHONE_DEVICE
+ */
+async function listDevices() {
+  const microphoneManager = new MicrophoneManager();
+  const microphones = await microphoneManager.listMicrophones();
+  const selected = await microphoneManager.selectMicrophone();
+
+  console.log('🎙️ Available microphones');
+  console.log('=====================================');
+
+  if (microphones.length === 0) {
+    console.log('⚠️ No capture devices found (is alsa-utils / pulseaudio-utils installed?)');
+  }
+
+  microphones.forEach((mic) => {
+    const marker = mic.name === selected.name ? '👉' : '  ';
+    console.log(`${marker} [${mic.source}] ${mic.name}`);
+    if (mic.description) {
+      console.log(`      ${mic.description}`);
+    }
+  });
+
+  const installedBackends = RecordingBackendFactory.getInstalledBackends();
+  const backendSetting = process.env.RECORDING_BACKEND || 'auto';
+  const activeBackend = backendSetting === 'auto'
+    ? `auto → ${RecordingBackendFactory.detect(selected).getBackendName()}`
+    : backendSetting;
+
+  console.log('=====================================');
+  console.log(`Recording backends installed: ${installedBackends.join(', ') || 'none'}`);
+  console.log(`RECORDING_BACKEND=${activeBackend}`);
+  console.log(`Selected: ${selected.name}`);
+  console.log(`MICROPHONE_DEVICE=${process.env.MICROPHONE_DEVICE || '(not set)'}`);
+  console.log('Set MICROPHONE_DEVICE in .env to a name, substring or /regex/ (comma-separated for fallbacks)');
+}
+
+/**
+ * `voice-input pause` / `voice-input resume` - control the running recording
+ * the same way a second hotkey press stops it
+ */
+function sendRecordingCommand(command) {
+  const processManager = new ProcessManager();
+  const commandMap = { pause: 'toggle-pause', resume: 'resume' };
+
+  if (!processManager.sendCommand(commandMap[command])) {
+    console.log('⚠️ No voice input recording is running');
+    process.exit(1);
+  }
+}
+
+/**
+ * `voice-input recover` - transcribe recordings interrupted by a crash
+ */
+async function recoverRecordings() {
+  const app = new VoiceInputApp();
+
+  try {
+    const sessions = app.findUnfinishedRecordings();
+    if (sessions.length === 0) {
+      console.log('✅ No unfinished recordings');
+      return;
+    }
+
+    const recovered = await app.recoverRecordings(sessions);
+    console.log(`✅ Recovered ${recovered} of ${sessions.length} recording(s)`);
+    if (recovered < sessions.length) {
+      process.exitCode = 1;
+    }
+  } finally {
+    app.cleanup();
+  }
+}
+
+/**
+ * `voice-input providers check` - send a test clip through every configured
+ * provider; exits non-zero if the active one is broken
+ */
+async function checkProviders(subcommand) {
+  if (subcommand !== 'check') {
+    console.log('Usage: voice-input providers check');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { exitCode } = await new ProviderHealthCheck().run();
+  process.exitCode = exitCode;
+}
+
+/**
+ * `voice-input models [list|verify|switch|import]` - manage local models for
+ * parakeetv3 and whispercpp in MODELS_DIR
+ */
+async function manageModels(args) {
+  const [subcommand = 'list', ...rest] = args;
+  const manager = new ModelManager();
+
+  if (subcommand === 'list') {
+    const models = manager.listModels();
+
+    console.log(`📦 Models in ${manager.modelsDir}`);
+    console.log('=====================================');
+
+    if (models.length === 0) {
+      console.log('⚠️ No models installed. Import one with: voice-input models import <archive>');
+    }
+
+    const manifest = manager.loadManifest();
+    models.forEach((model) => {
+      const marker = model.active ? '👉' : '  ';
+      const type = model.modelType ? `${model.provider}/${model.modelType}` : model.provider;
+      const checksums = manifest.models[model.name] ? '' : ', no checksums';
+      console.log(`${marker} ${model.name}`);
+      console.log(`      ${type}, ${ModelManager.formatSize(model.sizeBytes)} on disk, ~${ModelManager.formatSize(model.ramBytes)} RAM${checksums}`);
+    });
+
+    console.log('=====================================');
+    console.log('Switch with: voice-input models switch <name>');
+    return;
+  }
+
+  if (subcommand === 'verify') {
+    const results = await manager.verify(rest[0]);
+    const icons = { ok: '✅', mismatch: '❌', unlisted: '❔', unknown: '❌' };
+
+    if (results.length === 0) {
+      console.log('⚠️ No models installed');
+    }
+
+    results.forEach((result) => {
+      console.log(`${icons[result.status]} ${result.name}: ${result.status}`);
+      result.problems.forEach(problem => console.log(`      ${problem}`));
+    });
+
+    if (results.some(result => result.status === 'mismatch' || result.status === 'unknown')) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (subcommand === 'switch' && rest[0]) {
+    const { model, updates } = manager.switchModel(rest[0]);
+
+    Object.entries(updates).forEach(([key, value]) => console.log(`✅ ${key}=${value}`));
+
+    const provider = process.env.TRANSCRIPTION_PROVIDER;
+    if (provider && !ProviderFactory.parseProviderList(provider).includes(model.provider)) {
+      console.log(`⚠️ TRANSCRIPTION_PROVIDER=${provider} does not use it; add ${model.provider} to load this model`);
+    }
+    if (model.provider === 'parakeetv3' && process.env.PARAKEET_BPE_VOCAB) {
+      console.log('⚠️ PARAKEET_BPE_VOCAB is set and may still point at the previous model');
+    }
+    console.log('Restart voice input (or the daemon) to load it');
+    return;
+  }
+
+  if (subcommand === 'import' && rest[0]) {
+    const nameIndex = rest.indexOf('--name');
+    const name = nameIndex !== -1 ? rest[nameIndex + 1] : undefined;
+
+    const model = await manager.importModel(rest[0], { name });
+    console.log(`✅ Imported ${model.name} (${model.modelType || model.provider}, ~${ModelManager.formatSize(model.ramBytes)} RAM)`);
+    console.log(`Use it with: voice-input models switch ${model.name}`);
+    return;
+  }
+
+  console.log('Usage: voice-input models [list]');
+  console.log('       voice-input models verify [name]');
+  console.log('       voice-input models switch <name>');
+  console.log('       voice-input models import <archive|model.bin> [--name <name>]');
+  process.exitCode = 1;
+}
+
+/**
+ * `voice-input vocabulary test "<text>" [--lang ru]` - run text through
+ * vocabulary.json and show which rules fired
+ * `voice-input vocabulary reload` - make the running process re-read it (and punctuation.json)
+ */
+function testVocabulary(args) {
+  const [subcommand, ...rest] = args;
+
+  if (subcommand === 'reload') {
+    if (!new ProcessManager().sendCommand('reload-vocabulary')) {
+      console.log('⚠️ No voice input process is running; vocabulary.json is read on the next start');
+    }
+    return;
+  }
+
+  const langIndex = rest.indexOf('--lang');
+  const language = langIndex !== -1 ? rest[langIndex + 1] : (process.env.VOCABULARY_LANGUAGE || null);
+  const text = rest.filter((arg, index) => langIndex === -1 || (index !== langIndex && index !== langIndex + 1)).join(' ');
+
+  if (subcommand !== 'test' || !text) {
+    console.log('Usage: voice-input vocabulary test "<text>" [--lang <code>]');
+    console.log('       voice-input vocabulary reload');
+    process.exitCode = 1;
+    return;
+  }
+
+  const vocabularyPath = path.join(__dirname, 'vocabulary.json');
+  const vocabulary = VocabularyEngine.load(vocabularyPath);
+  if (!vocabulary) {
+    console.log(`⚠️ ${vocabularyPath} not found. Copy vocabulary.example.json to start`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = vocabulary.apply(text, { language });
+
+  console.log(`📖 Vocabulary test${language ? ` (language: ${language})` : ''}`);
+  console.log('=====================================');
+  console.log(`In:  ${text}`);
+  console.log(`Out: ${result.text}`);
+  console.log('=====================================');
+
+  if (result.fired.length === 0) {
+    console.log('No rules fired');
+  }
+  result.fired.forEach((rule) => {
+    console.log(`✅ ${rule.source}: "${rule.from}" → "${rule.to}"${rule.from.toLowerCase() === rule.pattern.toLowerCase() ? '' : ` (${rule.pattern})`}`);
+  });
+}
+
+/**
+ * `voice-input correct ["corrected text"] [--yes]` - learn vocabulary entries
+ * from a hand-corrected version of the last transcription
+ */
+async function correctTranscription(args) {
+  const acceptAll = args.includes('--yes');
+  let corrected = args.filter(arg => arg !== '--yes').join(' ').trim();
+
+  const learner = new CorrectionLearner({
+    logger: createLogger(),
+    vocabularyFilePath: path.join(__dirname, 'vocabulary.json')
+  });
+
+  const last = learner.getLastTranscription();
+  if (!last) {
+    console.log('⚠️ No transcription found in the session log');
+    process.exitCode = 1;
+    return;
+  }
+
+  // Corrections are diffed against the provider's own words, which is what
+  // vocabulary rules see; punctuation and editing commands come later
+  console.log(`📝 Last transcription (${last.timestamp}):`);
+  console.log(`   ${last.raw}`);
+  if (last.text !== last.raw) {
+    console.log(`   (pasted as: ${last.text})`);
+  }
+
+  const ask = (question, prefill = '') => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer);
+      });
+      rl.write(prefill);
+    });
+  };
+
+  if (!corrected) {
+    if (!process.stdin.isTTY) {
+      console.log('Usage: voice-input correct "<corrected text>" [--yes]');
+      process.exitCode = 1;
+      return;
+    }
+    // Start from the transcript so only the wrong words need retyping
+    corrected = (await ask('✏️  Corrected: ', last.raw)).trim();
+  }
+
+  const proposals = learner.propose(last.raw, corrected);
+  if (proposals.length === 0) {
+    console.log('✅ Nothing new to learn from this correction');
+    return;
+  }
+
+  const accepted = [];
+  for (const proposal of proposals) {
+    const replaces = proposal.existing ? ` (replaces "${proposal.existing}")` : '';
+    const question = `➕ "${proposal.from}" → "${proposal.to}"${replaces}`;
+
+    if (acceptAll) {
+      console.log(question);
+      accepted.push(proposal);
+    } else if (!/^n/i.test((await ask(`${question}? [Y/n] `)).trim())) {
+      accepted.push(proposal);
+    }
+  }
+
+  if (accepted.length === 0) {
+    console.log('Nothing added');
+    return;
+  }
+
+  learner.save(accepted);
+  console.log(`✅ Added ${accepted.length} entr${accepted.length === 1 ? 'y' : 'ies'} to vocabulary.json`);
+
+  if (!new ProcessManager().sendCommand('reload-vocabulary')) {
+    console.log('Takes effect on the next start');
+  }
+}
+
+/**
+ * `voice-input start` / `voice-input stop` - push-to-talk key press/release.
+ * The key state is recorded first; a running process is then told to sync to
+ * it, so it only ever starts on press and stops on release.
+ * @param {string} command - 'start' or 'stop'
+ * @param {number} at - Time of the key event (epoch ms)
+ * @returns {boolean} True if this process should start recording itself
+ */
+function sendPushToTalk(command, at) {
+  const processManager = new ProcessManager();
+  const state = command === 'start' ? 'down' : 'up';
+
+  if (!processManager.recordPushToTalk(state, at)) {
+    console.log(`⏭️ Ignoring out-of-order "${command}"`);
+    return false;
+  }
+
+  if (processManager.sendCommand('push-to-talk')) {
+    return false;
+  }
+
+  if (command === 'stop') {
+    console.log('⚠️ No voice input recording is running');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * When the push-to-talk key event happened: `--at <epoch ms>` from the hotkey
+ * tool if given, else when this process was launched (not when it got to
+ * this point, which varies with startup time)
+ * @param {string[]} args
+ * @returns {number}
+ */
+function pushToTalkEventTime(args) {
+  const index = args.indexOf('--at');
+  const at = index !== -1 ? Number(args[index + 1]) : NaN;
+  return Number.isFinite(at) ? at : Math.round(performance.timeOrigin);
+}
 
 async function main() {
+  const command = process.argv[2];
+
+  if (command === 'devices') {
+    try {
+      await listDevices();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'pause' || command === 'resume') {
+    sendRecordingCommand(command);
+    return;
+  }
+
+  if (command === 'recover') {
+    await recoverRecordings();
+    return;
+  }
+
+  if (command === 'providers') {
+    try {
+      await checkProviders(process.argv[3]);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'correct') {
+    try {
+      await correctTranscription(process.argv.slice(3));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'vocabulary') {
+    try {
+      testVocabulary(process.argv.slice(3));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === 'models') {
+    try {
+      await manageModels(process.argv.slice(3));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const pushToTalk = command === 'start' || command === 'stop';
+  if (pushToTalk && !sendPushToTalk(command, pushToTalkEventTime(process.argv.slice(3)))) {
+    return;
+  }
+
   console.log('🎤 Voice Input - Starting...');
   console.log('=====================================');
 
   // Create process manager
   const processManager = new ProcessManager();
 
-  // Check if already running and send stop signal if so
-  const sentStopSignal = await processManager.checkAndStopExisting();
-  if (sentStopSignal) {
-    console.log('🛑 Hotkey pressed while recording - stop signal sent');
-    console.log('=====================================');
-    process.exit(0);
+  if (pushToTalk) {
+    // Never toggle: another press may have launched a process in the meantime
+    if (processManager.getRunningPid()) {
+      process.exit(0);
+    }
+  } else {
+    // Check if already running and send stop signal if so
+    const sentStopSignal = await processManager.checkAndStopExisting();
+    if (sentStopSignal) {
+      console.log('🛑 Hotkey pressed while recording - stop signal sent');
+      console.log('=====================================');
+      process.exit(0);
+    }
   }
 
+  let app = null;
+  let stopRecordingCallback = null;
+  let sessionPushToTalk = pushToTalk;
+  let startNextSession = null;
+
+  // Signal handlers go in before the PID file is written: from then on a stop,
+  // release or pause can arrive, and SIGUSR1/SIGUSR2 would otherwise
+  // terminate the process. Commands that need the app wait for it.
+  processManager.setupStopHandler(() => {
+    if (stopRecordingCallback) {
+      stopRecordingCallback();
+    }
+  });
+
+  processManager.setupCommandHandler((recordingCommand) => {
+    if (recordingCommand === 'push-to-talk') {
+      // A release before the recording started is caught by runSession
+      if (processManager.isPushToTalkReleased()) {
+        if (stopRecordingCallback && app && app.audioRecorder.isRecording) {
+          stopRecordingCallback();
+        }
+      } else if (startNextSession) {
+        startNextSession();
+      }
+    } else if (!app) {
+      console.log(`⚠️ Still starting up, ignoring command: ${recordingCommand}`);
+    } else if (recordingCommand === 'toggle-pause') {
+      app.togglePause();
+    } else if (recordingCommand === 'resume') {
+      app.resumeRecording();
+    } else if (recordingCommand === 'reload-vocabulary') {
+      app.reloadVocabulary();
+    } else {
+      console.log(`⚠️ Unknown command: ${recordingCommand}`);
+    }
+  });
+
   // Create PID file for new process
   processManager.createPidFile();
 
   // Setup cleanup handlers
   processManager.setupCleanupHandlers();
 
-  let app = null;
-
   try {
     // Create and initialize the application
     // Provider will be auto-detected from environment variables
     app = new VoiceInputApp();
 
-    await app.initialize();
-
-    // Setup stop handler for SIGUSR1 signal and run the voice input session
-    let stopRecordingCallback = null;
+    const runSession = () => app.run((stopHandler) => {
+      stopRecordingCallback = stopHandler;
 
-    processManager.setupStopHandler(() => {
-      if (stopRecordingCallback) {
-        stopRecordingCallback();
+      // The key may have been released while the recording was starting
+      if (sessionPushToTalk) {
+        app.audioRecorder.once('recordingStarted', () => setImmediate(() => {
+          if (processManager.isPushToTalkReleased()) {
+            stopHandler();
+          }
+        }));
       }
-    });
+    }, { pushToTalk: sessionPushToTalk });
+
+    await app.initialize();
+
+    // Recordings interrupted by a crash are offered before the new one starts
+    await app.offerRecovery();
 
     // Run the voice input session with stop callback
-    await app.run((stopHandler) => {
-      stopRecordingCallback = stopHandler;
-    });
+    await runSession();
 
     console.log('✅ Voice input session completed successfully!');
     console.log('=====================================');
 
     // Daemon mode for Parakeet V3 - keep model in RAM
+    // (a fallback chain counts when Parakeet is its primary provider)
     const isDaemonMode = process.env.PARAKEET_DAEMON_MODE === 'true' ||
-                         process.env.TRANSCRIPTION_PROVIDER === 'parakeetv3';
+                         (process.env.TRANSCRIPTION_PROVIDER || '').split(',')[0].trim() === 'parakeetv3';
 
     if (isDaemonMode) {
       console.log('🔄 Daemon mode: waiting for next hotkey... (Ctrl+C to exit)');
       console.log('   Model stays in RAM for instant transcription!');
       console.log('=====================================');
 
-      // Wait for SIGUSR1 to start next recording
+      // Keep the mic open so the first word after the hotkey is not cut off
+      app.startPreRoll();
+
+      // Wait for SIGUSR1 (toggle) or a push-to-talk press to start next recording.
+      // Resolves to true when the session was started by push-to-talk.
       const waitForNextHotkey = () => {
         return new Promise((resolve) => {
           const handler = () => {
             process.removeListener('SIGUSR1', handler);
-            resolve();
+            startNextSession = null;
+            resolve(false);
           };
           process.on('SIGUSR1', handler);
+          startNextSession = () => {
+            process.removeListener('SIGUSR1', handler);
+            startNextSession = null;
+            resolve(true);
+          };
         });
       };
 
@@ -78,14 +559,12 @@ async function main() {
         while (true) {
           try {
             // Wait for hotkey to start new recording
-            await waitForNextHotkey();
+            sessionPushToTalk = await waitForNextHotkey();
 
             console.log('\n🎤 New recording session...');
             stopRecordingCallback = null;
 
-            await app.run((stopHandler) => {
-              stopRecordingCallback = stopHandler;
-            });
+            await runSession();
 
             console.log('✅ Session completed!');
             console.log('🔄 Waiting for next hotkey...');
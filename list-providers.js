@@ -40,4 +40,5 @@ console.log('Example .env configuration:');
 console.log('  TRANSCRIPTION_PROVIDER=nexara');
 console.log('  NEXARA_API_KEY=your_api_key_here\n');
 
+console.log('Check the configured providers with: node index.js providers check');
 console.log('For more information, see: docs/ADDING_PROVIDERS.md\n');
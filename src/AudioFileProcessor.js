@@ -9,7 +9,9 @@ const path = require('path');
  * This helper never edits source files selected from Nautilus. Single-file
  * transcription passes original bytes through with metadata; multi-file
  * transcription creates one temporary speech-optimized audio file so providers
- * still receive a single upload/buffer.
+ * still receive a single upload/buffer. When a preprocessing chain is
+ * configured, even a single file is transcoded so it gets the same filters as
+ * microphone recordings.
  */
 class AudioFileProcessor {
   constructor(options = {}) {
@@ -18,6 +20,7 @@ class AudioFileProcessor {
       channels: options.channels || 1,
       compressionFormat: options.compressionFormat || 'opus',
       compressionBitrate: options.compressionBitrate || '32k',
+      preprocessor: options.preprocessor || null, // AudioPreprocessor applied while transcoding
       ...options
     };
   }
@@ -92,6 +95,10 @@ class AudioFileProcessor {
     return Array.from(AudioFileProcessor.supportedExtensions);
   }
 
+  hasFilters() {
+    return Boolean(this.options.preprocessor && this.options.preprocessor.hasFilters());
+  }
+
   /**
    * Read one source file and attach metadata consumed by provider uploads.
    * This keeps file mode compatible with the microphone buffer contract.
@@ -108,16 +115,18 @@ class AudioFileProcessor {
   }
 
   /**
-   * Merge many files into one temporary compressed audio file.
-   * ffmpeg decodes each source format, concatenates sequentially, and normalizes
-   * the output to mono 16kHz speech settings for transcription.
+   * Merge files into one temporary compressed audio file.
+   * ffmpeg decodes each source format, concatenates sequentially, applies the
+   * preprocessing chain, and normalizes the output to mono 16kHz speech
+   * settings for transcription. A single file is accepted so it can be
+   * preprocessed through the same path.
    *
    * @param {string[]} filePaths - Already validated and sorted audio files.
    * @returns {Promise<{path: string, format: string, extension: string}>}
    */
   async mergeAudioFiles(filePaths) {
-    if (!Array.isArray(filePaths) || filePaths.length < 2) {
-      throw new Error('At least two audio files are required for merge');
+    if (!Array.isArray(filePaths) || filePaths.length === 0) {
+      throw new Error('At least one audio file is required for merge');
     }
 
     const format = this.options.compressionFormat;
@@ -156,6 +165,7 @@ class AudioFileProcessor {
         '-safe', '0',
         '-i', listPath,
         '-vn',
+        ...(this.hasFilters() ? this.options.preprocessor.getFfmpegArgs() : []),
         '-ar', this.options.sampleRate.toString(),
         '-ac', this.options.channels.toString(),
         '-b:a', this.options.compressionBitrate,
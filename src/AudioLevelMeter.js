@@ -0,0 +1,116 @@
+const EventEmitter = require('events');
+
+/**
+ * Measures S16_LE PCM levels while recording.
+ *
+ * Emits a 'level' event every intervalMs of audio with the RMS and peak of
+ * that window, and keeps whole-recording statistics so the app can tell a
+ * muted or clipping microphone apart from real speech before paying for a
+ * transcription.
+ */
+class AudioLevelMeter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      sampleRate: options.sampleRate || 16000,
+      intervalMs: options.intervalMs || 100,
+      clipLevel: options.clipLevel || 0.99, // |sample| at or above this counts as clipped
+      ...options
+    };
+
+    this.windowSize = Math.max(1, Math.round(this.options.sampleRate * this.options.intervalMs / 1000));
+    this.reset();
+  }
+
+  reset() {
+    this.window = { samples: 0, sumSquares: 0, peak: 0 };
+    this.totals = {
+      samples: 0,
+      sumSquares: 0,
+      peak: 0,
+      maxWindowRms: 0,
+      clippedSamples: 0
+    };
+  }
+
+  /**
+   * One-shot RMS/peak of a PCM chunk, normalized to 0..1
+   * @param {Buffer} chunk - S16_LE samples
+   * @returns {{rms: number, peak: number}}
+   */
+  static measure(chunk) {
+    const sampleCount = Math.floor(chunk.length / 2);
+    if (sampleCount === 0) return { rms: 0, peak: 0 };
+
+    let sumSquares = 0;
+    let peak = 0;
+    for (let i = 0; i < sampleCount; i++) {
+      const sample = Math.abs(chunk.readInt16LE(i * 2) / 32768);
+      sumSquares += sample * sample;
+      if (sample > peak) peak = sample;
+    }
+
+    return { rms: Math.sqrt(sumSquares / sampleCount), peak };
+  }
+
+  /**
+   * Feed the next chunk of captured audio
+   * @param {Buffer} chunk - S16_LE samples
+   */
+  process(chunk) {
+    const sampleCount = Math.floor(chunk.length / 2);
+
+    for (let i = 0; i < sampleCount; i++) {
+      const sample = Math.abs(chunk.readInt16LE(i * 2) / 32768);
+      const square = sample * sample;
+
+      this.window.samples++;
+      this.window.sumSquares += square;
+      if (sample > this.window.peak) this.window.peak = sample;
+
+      this.totals.samples++;
+      this.totals.sumSquares += square;
+      if (sample > this.totals.peak) this.totals.peak = sample;
+      if (sample >= this.options.clipLevel) this.totals.clippedSamples++;
+
+      if (this.window.samples >= this.windowSize) {
+        this._flushWindow();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _flushWindow() {
+    const rms = Math.sqrt(this.window.sumSquares / this.window.samples);
+    if (rms > this.totals.maxWindowRms) {
+      this.totals.maxWindowRms = rms;
+    }
+
+    this.emit('level', { rms, peak: this.window.peak });
+    this.window = { samples: 0, sumSquares: 0, peak: 0 };
+  }
+
+  /**
+   * Whole-recording statistics
+   * @returns {{durationMs: number, rms: number, peak: number, maxWindowRms: number, clippedRatio: number}}
+   */
+  getStats() {
+    const { samples, sumSquares, peak, maxWindowRms, clippedSamples } = this.totals;
+
+    return {
+      durationMs: Math.round(samples / this.options.sampleRate * 1000),
+      rms: samples > 0 ? Math.sqrt(sumSquares / samples) : 0,
+      peak,
+      // A trailing partial window still counts when the recording is short
+      maxWindowRms: Math.max(maxWindowRms, this.window.samples > 0
+        ? Math.sqrt(this.window.sumSquares / this.window.samples)
+        : 0),
+      clippedRatio: samples > 0 ? clippedSamples / samples : 0
+    };
+  }
+}
+
+module.exports = AudioLevelMeter;
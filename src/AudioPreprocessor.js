@@ -0,0 +1,128 @@
+/**
+ * Builds the ffmpeg audio filter chain applied before upload.
+ *
+ * Steps run in the configured order; the same chain is used by the
+ * microphone encoder and by file transcription so transcripts from both
+ * paths are comparable. Available steps:
+ *   highpass - cut rumble/handling noise below highpassHz
+ *   denoise  - afftdn spectral denoiser, or RNNoise (arnndn) with a model file
+ *   loudnorm - EBU R128 loudness normalization
+ *   trim     - drop leading and trailing silence
+ */
+class AudioPreprocessor {
+  constructor(options = {}) {
+    this.options = {
+      filters: options.filters || [],
+      highpassHz: options.highpassHz || 80,
+      trimThresholdDb: options.trimThresholdDb || -50,
+      denoiseMethod: options.denoiseMethod || 'afftdn', // afftdn or rnnoise
+      rnnoiseModel: options.rnnoiseModel || null, // .rnnn model path for arnndn
+      ...options
+    };
+
+    const unknown = this.options.filters.filter(name => !AudioPreprocessor.availableFilters.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown audio filter(s): ${unknown.join(', ')}. ` +
+        `Available filters: ${AudioPreprocessor.availableFilters.join(', ')}`
+      );
+    }
+
+    if (!['afftdn', 'rnnoise'].includes(this.options.denoiseMethod)) {
+      throw new Error(`Unknown denoise method: ${this.options.denoiseMethod}. Use afftdn or rnnoise`);
+    }
+
+    if (this.options.filters.includes('denoise') && this.options.denoiseMethod === 'rnnoise' && !this.options.rnnoiseModel) {
+      throw new Error('RNNoise denoising requires AUDIO_RNNOISE_MODEL (path to a .rnnn model)');
+    }
+  }
+
+  static availableFilters = ['highpass', 'denoise', 'loudnorm', 'trim'];
+
+  /**
+   * Build preprocessor options from environment variables
+   * @param {Object} env - Environment variables
+   * @returns {AudioPreprocessor}
+   */
+  static fromEnv(env) {
+    const filters = (env.AUDIO_FILTERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    const options = { filters };
+    if (env.AUDIO_HIGHPASS_HZ) options.highpassHz = parseInt(env.AUDIO_HIGHPASS_HZ);
+    if (env.AUDIO_TRIM_THRESHOLD_DB) options.trimThresholdDb = parseInt(env.AUDIO_TRIM_THRESHOLD_DB);
+    if (env.AUDIO_DENOISE_METHOD) options.denoiseMethod = env.AUDIO_DENOISE_METHOD.trim().toLowerCase();
+    if (env.AUDIO_RNNOISE_MODEL) options.rnnoiseModel = env.AUDIO_RNNOISE_MODEL;
+
+    return new AudioPreprocessor(options);
+  }
+
+  hasFilters() {
+    return this.options.filters.length > 0;
+  }
+
+  /**
+   * ffmpeg filter expression for one step
+   * @private
+   */
+  _filterFor(name) {
+    switch (name) {
+      case 'highpass':
+        return `highpass=f=${this.options.highpassHz}`;
+
+      case 'denoise':
+        if (this.options.denoiseMethod === 'rnnoise') {
+          // Quote the path so ':' in it is not read as an option separator
+          return `arnndn=m='${this.options.rnnoiseModel.replace(/'/g, "\\'")}'`;
+        }
+        return 'afftdn=nf=-25';
+
+      case 'loudnorm':
+        return 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+      case 'trim': {
+        // silenceremove only trims the start; reversing twice trims the end too
+        const trimStart = `silenceremove=start_periods=1:start_threshold=${this.options.trimThresholdDb}dB:start_silence=0.1`;
+        return `${trimStart},areverse,${trimStart},areverse`;
+      }
+
+      default:
+        throw new Error(`Unknown audio filter: ${name}`);
+    }
+  }
+
+  /**
+   * @returns {string|null} Value for ffmpeg -af, or null when no filters are set
+   */
+  buildFilterChain() {
+    if (!this.hasFilters()) {
+      return null;
+    }
+
+    return this.options.filters.map(name => this._filterFor(name)).join(',');
+  }
+
+  /**
+   * ffmpeg arguments to insert before the output options
+   * @returns {string[]}
+   */
+  getFfmpegArgs() {
+    const chain = this.buildFilterChain();
+    return chain ? ['-af', chain] : [];
+  }
+
+  /**
+   * Summary for session logs, so transcript accuracy can be compared per setup
+   * @returns {{filters: string[], chain: string|null}}
+   */
+  describe() {
+    return {
+      filters: [...this.options.filters],
+      chain: this.buildFilterChain()
+    };
+  }
+}
+
+module.exports = AudioPreprocessor;
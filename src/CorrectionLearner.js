@@ -0,0 +1,207 @@
+const fs = require('fs');
+const VocabularyEngine = require('./VocabularyEngine');
+
+/**
+ * Turns hand corrections into vocabulary.json entries (`voice-input correct`)
+ * Diffs the last transcription against the corrected text word by word; each
+ * run of changed words becomes a proposed replacement ("кубер нетис" ->
+ * "Kubernetes"). Accepted proposals are written to the "replacements" map.
+ */
+class CorrectionLearner {
+  constructor(options = {}) {
+    this.logger = options.logger || null;
+    this.vocabularyFilePath = options.vocabularyFilePath;
+    this.maxWords = options.maxWords || 4; // Longer runs are rewrites, not misheard terms
+  }
+
+  /**
+   * Split text into words, keeping the bare word for comparison
+   * ("Kubernetes," compares as "Kubernetes"). A sentence end becomes a
+   * boundary token of its own, so a change never spans two sentences.
+   * @param {string} text
+   * @returns {Array<{text: string, word: string, boundary?: boolean}>}
+   */
+  static tokenize(text) {
+    const tokens = [];
+
+    for (const token of String(text || '').split(/\s+/).filter(Boolean)) {
+      const word = token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+      if (word) {
+        tokens.push({ text: token, word });
+      }
+      if (/[.!?…]$/.test(token)) {
+        tokens.push({ text: '.', word: '.', boundary: true });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Word-level diff (longest common subsequence)
+   * @param {string} original - Transcribed text
+   * @param {string} corrected - What it should have been
+   * @returns {Array<{from: string, to: string, sentenceStart: boolean}>} Runs of
+   *   changed words, in order; pure insertions and deletions are left out
+   */
+  static diffWords(original, corrected) {
+    const a = CorrectionLearner.tokenize(original);
+    const b = CorrectionLearner.tokenize(corrected);
+
+    // lengths[i][j] = LCS of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i].word === b[j].word
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let from = [];
+    let to = [];
+    let runStart = 0; // Index in b where the current run begins
+    const sameWord = (x, y) => x.toLocaleLowerCase() === y.toLocaleLowerCase();
+    const push = (fromWords, toWords, start) => {
+      const sentenceStart = start === 0 || /[.!?…]$/.test(b[start - 1].text);
+      changes.push({ from: fromWords.join(' '), to: toWords.join(' '), sentenceStart });
+    };
+    const flush = () => {
+      if (from.length > 0 && to.length > 0) {
+        // Case-only edits at the edges ("use redis" -> "Use Redis") are separate changes
+        while (from.length > 1 && to.length > 1 && sameWord(from[0], to[0])) {
+          push([from.shift()], [to.shift()], runStart++);
+        }
+        const trailing = [];
+        while (from.length > 1 && to.length > 1 && sameWord(from[from.length - 1], to[to.length - 1])) {
+          trailing.unshift([[from.pop()], [to.pop()], runStart + to.length]);
+        }
+        push(from, to, runStart);
+        trailing.forEach(args => push(...args));
+      }
+      from = [];
+      to = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i].word === b[j].word) {
+        flush();
+        i++;
+        j++;
+        runStart = j;
+      } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+        if (b[j].boundary) {
+          flush();
+          runStart = j + 1;
+        } else {
+          to.push(b[j].word);
+        }
+        j++;
+      } else {
+        if (a[i].boundary) {
+          flush();
+          runStart = j;
+        } else {
+          from.push(a[i].word);
+        }
+        i++;
+      }
+    }
+    flush();
+
+    return changes;
+  }
+
+  /**
+   * The most recent transcription from the session log
+   * @returns {{sessionId: string, timestamp: string, text: string, raw: string}|null}
+   *   raw is the provider's text before vocabulary fixes
+   */
+  getLastTranscription() {
+    const entry = this.logger ? this.logger.findLastSessionEvent('TRANSCRIPTION') : null;
+    if (!entry || !entry.data.text) {
+      return null;
+    }
+
+    return {
+      sessionId: entry.sessionId,
+      timestamp: entry.timestamp,
+      text: entry.data.text,
+      raw: entry.data.raw || entry.data.text
+    };
+  }
+
+  /**
+   * @returns {Object} vocabulary.json contents ({} if there is none yet)
+   */
+  loadVocabularyFile() {
+    if (!fs.existsSync(this.vocabularyFilePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.vocabularyFilePath, 'utf8'));
+  }
+
+  /**
+   * Vocabulary entries suggested by a correction
+   * @param {string} original - Transcribed text (raw provider output works best)
+   * @param {string} corrected
+   * @returns {Array<{from: string, to: string, existing: string|null}>}
+   *   existing: current replacement for the same pattern, if it differs
+   */
+  propose(original, corrected) {
+    const vocabulary = this.loadVocabularyFile();
+    const engine = new VocabularyEngine(vocabulary);
+    const existing = new Map(Object.entries(vocabulary.replacements || {})
+      .map(([pattern, replacement]) => [VocabularyEngine.normalize(pattern), replacement]));
+
+    const proposals = [];
+    const seen = new Set();
+
+    for (const change of CorrectionLearner.diffWords(original, corrected)) {
+      const key = VocabularyEngine.normalize(change.from);
+      const wordCount = key.split(' ').length;
+
+      // Long runs are rewrites, not terms; lowercasing a word is not a term either
+      if (wordCount > this.maxWords || seen.has(key) || key === change.to) {
+        continue;
+      }
+      // "push" -> "Push" at a sentence start is grammar, and would capitalise it everywhere
+      if (change.sentenceStart && change.to === key.charAt(0).toLocaleUpperCase() + key.slice(1)) {
+        continue;
+      }
+      // Already fixed by the current rules (raw text still has the old spelling)
+      if (engine.apply(change.from).text === change.to) {
+        continue;
+      }
+
+      seen.add(key);
+      proposals.push({ from: key, to: change.to, existing: existing.get(key) ?? null });
+    }
+
+    return proposals;
+  }
+
+  /**
+   * Add accepted proposals to vocabulary.json "replacements"
+   * @param {Array<{from: string, to: string}>} proposals
+   */
+  save(proposals) {
+    if (proposals.length === 0) {
+      return;
+    }
+
+    const vocabulary = this.loadVocabularyFile();
+    vocabulary.replacements = vocabulary.replacements || {};
+
+    for (const { from, to } of proposals) {
+      vocabulary.replacements[from] = to;
+    }
+
+    fs.writeFileSync(this.vocabularyFilePath, JSON.stringify(vocabulary, null, 2) + '\n');
+  }
+}
+
+module.exports = CorrectionLearner;
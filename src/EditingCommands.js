@@ -0,0 +1,220 @@
+const VocabularyEngine = require('./VocabularyEngine');
+
+// "Scratch that" drops the sentence it follows
+const SCRATCH_PHRASES = [
+  'scratch that',
+  'strike that',
+  'удали последнее',
+  'удали последнюю фразу',
+  'зачеркни это'
+];
+
+// "Replace X with Y" fixes the last X before it
+const REPLACE_FORMS = [
+  { verb: 'replace', joiner: 'with' },
+  { verb: 'замени', joiner: 'на' },
+  { verb: 'исправь', joiner: 'на' }
+];
+
+const SENTENCE_END = /[.!?…\n]/u;
+const CLAUSE_PUNCTUATION = '.!?…;:,\\n';
+
+/**
+ * Voice editing commands inside a dictation, applied after spoken punctuation
+ *
+ *   "Meet on Tuesday. Scratch that. Meet on Wednesday." -> "Meet on Wednesday."
+ *   "Deploy to staging. Replace staging with production." -> "Deploy to production."
+ *
+ * "Scratch that" drops the sentence before it (or the unfinished one it
+ * interrupts). "Replace X with Y" must start a sentence or clause, so
+ * "we should replace Redis with Postgres" is left alone; it is also left as
+ * dictated when X does not appear before it.
+ *
+ * A command with nothing before it in the recording is returned as "carried",
+ * for the caller to apply to earlier text (the notebook buffer).
+ */
+class EditingCommands {
+  constructor() {
+    const scratch = [...SCRATCH_PHRASES]
+      .sort((a, b) => b.length - a.length)
+      .map(VocabularyEngine.literalSource);
+    this.scratchRegex = new RegExp(VocabularyEngine.wholeWord(scratch), 'giu');
+
+    const forms = REPLACE_FORMS.map(({ verb, joiner }) =>
+      `${VocabularyEngine.escapeRegex(verb)}\\s+(?<from>[^${CLAUSE_PUNCTUATION}]+?)\\s+${VocabularyEngine.escapeRegex(joiner)}\\s+(?<to>[^${CLAUSE_PUNCTUATION}]+?)`
+    );
+    this.replaceRegexes = forms.map(form => new RegExp(
+      `(?<=(?:^|[${CLAUSE_PUNCTUATION}])\\s*)${VocabularyEngine.wholeWord([form])}(?=\\s*(?:[${CLAUSE_PUNCTUATION}]|$))`,
+      'giu'
+    ));
+  }
+
+  /**
+   * Carry out the editing commands in a transcription
+   * @param {string} text
+   * @returns {{text: string, count: number, carried: Array<{type: 'scratch'}|{type: 'replace', from: string, to: string}>}}
+   *   count: commands carried out here; carried: commands with nothing before them
+   */
+  apply(text) {
+    const carried = [];
+    if (!text) {
+      return { text, count: 0, carried };
+    }
+
+    let output = '';
+    let position = 0;
+    let count = 0;
+    let capitalizeNext = false; // Text after a removed command may start a sentence
+
+    for (let match = this._next(text, position); match; match = this._next(text, position)) {
+      output = EditingCommands._join(output, text.slice(position, match.index), capitalizeNext);
+      capitalizeNext = false;
+
+      const end = match.index + match[0].length;
+      // The command's own punctuation and spacing go with it
+      const after = end + text.slice(end).match(/^[,.;:!?…]*\s*/u)[0].length;
+      const before = output.trim();
+
+      if (match.type === 'scratch') {
+        if (before) {
+          output = EditingCommands.dropLastSentence(output);
+          count++;
+        } else {
+          carried.push({ type: 'scratch' });
+        }
+        capitalizeNext = true;
+        position = after;
+        continue;
+      }
+
+      const from = match.groups.from.trim();
+      const to = match.groups.to.trim();
+
+      if (!before) {
+        carried.push({ type: 'replace', from, to });
+        capitalizeNext = true;
+        position = after;
+        continue;
+      }
+
+      const replaced = EditingCommands.replaceLast(output, from, to);
+      if (replaced === null) {
+        // Nothing to fix: it was dictation after all
+        output += text.slice(match.index, end);
+        position = end;
+      } else {
+        output = replaced;
+        capitalizeNext = SENTENCE_END.test(output.trimEnd().slice(-1));
+        position = after;
+        count++;
+      }
+    }
+
+    output = EditingCommands._join(output, text.slice(position), capitalizeNext);
+
+    return { text: output.trim(), count, carried };
+  }
+
+  /**
+   * Apply carried commands to earlier text
+   * @param {string[]} entries - Earlier dictations, oldest first (modified in place)
+   * @param {Array} carried - From apply()
+   * @returns {number} Commands that changed something
+   */
+  static applyToEntries(entries, carried) {
+    let count = 0;
+
+    for (const command of carried) {
+      if (entries.length === 0) {
+        break;
+      }
+
+      if (command.type === 'scratch') {
+        entries.pop();
+        count++;
+      } else {
+        const replaced = EditingCommands.replaceLast(entries[entries.length - 1], command.from, command.to);
+        if (replaced !== null) {
+          entries[entries.length - 1] = replaced;
+          count++;
+        }
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Remove the last sentence, finished or not
+   * @param {string} text
+   * @returns {string} Text up to and including the previous sentence end
+   */
+  static dropLastSentence(text) {
+    const body = text
+      .replace(/[\s,;:—–-]+$/u, '')
+      .replace(/[.!?…]+$/u, '');
+
+    for (let index = body.length - 1; index >= 0; index--) {
+      if (SENTENCE_END.test(body[index])) {
+        return body.slice(0, index + 1);
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Replace the last whole-word occurrence of a phrase
+   * @param {string} text
+   * @param {string} from
+   * @param {string} to - A lowercase replacement follows the case of what it replaces
+   * @returns {string|null} null when the phrase does not occur
+   */
+  static replaceLast(text, from, to) {
+    const regex = new RegExp(VocabularyEngine.wholeWord([VocabularyEngine.literalSource(from)]), 'giu');
+    const matches = [...text.matchAll(regex)];
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const last = matches[matches.length - 1];
+    return text.slice(0, last.index) +
+      VocabularyEngine.adaptCase(last[0], to) +
+      text.slice(last.index + last[0].length);
+  }
+
+  /**
+   * Earliest command at or after position
+   * @private
+   */
+  _next(text, position) {
+    let next = null;
+
+    for (const [type, regex] of [['scratch', this.scratchRegex], ...this.replaceRegexes.map(r => ['replace', r])]) {
+      regex.lastIndex = position;
+      const match = regex.exec(text);
+      if (match && (!next || match.index < next.index)) {
+        match.type = type;
+        next = match;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Glue kept text to what follows a removed command
+   * @private
+   */
+  static _join(head, tail, capitalize) {
+    head = head.replace(/[ \t]+$/, '');
+    if (capitalize) {
+      tail = tail.replace(/\p{L}/u, letter => letter.toLocaleUpperCase());
+    }
+    if (!head || !tail || head.endsWith('\n') || /^[\s,.;:!?…)\]}»”]/u.test(tail)) {
+      return head + tail;
+    }
+    return `${head} ${tail}`;
+  }
+}
+
+module.exports = EditingCommands;
@@ -86,8 +86,14 @@ class LogManager {
     this.info(`SESSION [${sessionId}] ${event}:`, JSON.stringify(data));
   }
 
-  logTranscription(sessionId, text, duration = null) {
-    const data = { text, duration };
+  /**
+   * @param {string} sessionId
+   * @param {string} text - Final text (after vocabulary fixes)
+   * @param {number|null} duration
+   * @param {Object} [details] - Extra fields, e.g. raw provider text
+   */
+  logTranscription(sessionId, text, duration = null, details = {}) {
+    const data = { text, duration, ...details };
     this.logSession(sessionId, 'TRANSCRIPTION', data);
   }
 
@@ -187,6 +193,34 @@ class LogManager {
     }
   }
 
+  /**
+   * Most recent structured session event of a type, searching the current
+   * log and then the rotated one
+   * @param {string} event - e.g. 'TRANSCRIPTION'
+   * @returns {{sessionId: string, timestamp: string, data: Object}|null}
+   */
+  findLastSessionEvent(event) {
+    const pattern = new RegExp(`^\\[([^\\]]+)\\] INFO: SESSION \\[([^\\]]+)\\] ${event}: (.*)$`);
+
+    for (const file of [this.logPath, this.backupPath]) {
+      try {
+        if (!fs.existsSync(file)) continue;
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        for (let i = lines.length - 1; i >= 0; i--) {
+          const match = lines[i].match(pattern);
+          if (match) {
+            return { timestamp: match[1], sessionId: match[2], data: JSON.parse(match[3]) };
+          }
+        }
+      } catch (error) {
+        console.error('Failed to read log file:', error.message);
+      }
+    }
+
+    return null;
+  }
+
   // Clear all logs
   clearLogs() {
     try {
@@ -0,0 +1,227 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Enumerates capture sources and resolves which one the recorder should use.
+ *
+ * ALSA devices come from `arecord -L`, PulseAudio/PipeWire sources from
+ * `pactl list short sources`. Pulse sources are recorded through the ALSA
+ * `pulse` plugin with PULSE_SOURCE set, so arecord can still drive them.
+ * The last resolved device is remembered in var/microphone.json and reused
+ * while it stays plugged in.
+ */
+class MicrophoneManager {
+  constructor(options = {}) {
+    this.options = {
+      stateFile: options.stateFile || path.join(__dirname, '..', 'var', 'microphone.json'),
+      commandTimeout: options.commandTimeout || 2000,
+      ...options
+    };
+  }
+
+  static defaultMicrophone = {
+    name: 'default',
+    description: 'System default input',
+    source: 'alsa',
+    device: 'default',
+    env: {}
+  };
+
+  /**
+   * Run an enumeration command, resolving to empty output when the tool is
+   * missing so one absent sound stack never hides the other.
+   * @private
+   */
+  _run(command, args) {
+    return new Promise((resolve) => {
+      execFile(command, args, { timeout: this.options.commandTimeout }, (error, stdout) => {
+        resolve(error ? '' : stdout);
+      });
+    });
+  }
+
+  /**
+   * Parse `arecord -L` output: unindented lines are device names, the
+   * indented lines that follow describe them.
+   * @param {string} output - Raw arecord output
+   * @returns {Object[]} ALSA capture devices
+   */
+  static parseAlsaDevices(output) {
+    const devices = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+      if (!line.trim()) continue;
+
+      if (/^\s/.test(line)) {
+        if (current) {
+          current.description = current.description
+            ? `${current.description} - ${line.trim()}`
+            : line.trim();
+        }
+        continue;
+      }
+
+      const name = line.trim();
+      // "null" discards audio; it is never a useful microphone
+      if (name === 'null') {
+        current = null;
+        continue;
+      }
+
+      current = { name, description: '', source: 'alsa', device: name, env: {} };
+      devices.push(current);
+    }
+
+    return devices;
+  }
+
+  /**
+   * Parse `pactl list short sources` output, skipping monitor sources
+   * (they capture speaker output, not a microphone).
+   * @param {string} output - Raw pactl output
+   * @returns {Object[]} Pulse/PipeWire capture sources
+   */
+  static parsePulseSources(output) {
+    return output
+      .split('\n')
+      .map(line => line.split('\t'))
+      .filter(parts => parts.length >= 2 && parts[1] && !parts[1].endsWith('.monitor'))
+      .map(parts => ({
+        name: parts[1],
+        description: parts[3] || '',
+        source: 'pulse',
+        device: 'pulse',
+        env: { PULSE_SOURCE: parts[1] }
+      }));
+  }
+
+  /**
+   * List every capture source visible through ALSA and Pulse/PipeWire
+   * @returns {Promise<Object[]>}
+   */
+  async listMicrophones() {
+    const [alsaOutput, pulseOutput] = await Promise.all([
+      this._run('arecord', ['-L']),
+      this._run('pactl', ['list', 'short', 'sources'])
+    ]);
+
+    return [
+      ...MicrophoneManager.parsePulseSources(pulseOutput),
+      ...MicrophoneManager.parseAlsaDevices(alsaOutput)
+    ];
+  }
+
+  /**
+   * Split MICROPHONE_DEVICE into ordered preferences. Entries wrapped in
+   * slashes are regular expressions, anything else is a case-insensitive
+   * substring of the device name or description.
+   * @param {string} preference - Comma-separated preference list
+   * @returns {Array<{label: string, test: Function}>}
+   * @throws {Error} If a /regex/ entry does not compile
+   */
+  static parsePreferences(preference) {
+    if (!preference) return [];
+
+    return preference
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const regexMatch = entry.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+          let regex;
+          try {
+            regex = new RegExp(regexMatch[1], regexMatch[2] || 'i');
+          } catch (error) {
+            throw new Error(`[MicrophoneManager] Invalid MICROPHONE_DEVICE entry ${entry}: ${error.message}`);
+          }
+          return { label: entry, test: text => regex.test(text) };
+        }
+
+        const needle = entry.toLowerCase();
+        return { label: entry, test: text => text.toLowerCase().includes(needle) };
+      });
+  }
+
+  /**
+   * Find the first microphone matching the ordered preferences
+   * @param {Object[]} microphones - Enumerated devices
+   * @param {string} preference - Comma-separated preference list
+   * @returns {Object|null}
+   */
+  static findPreferred(microphones, preference) {
+    for (const { test } of MicrophoneManager.parsePreferences(preference)) {
+      const match = microphones.find(mic => test(mic.name) || test(mic.description));
+      if (match) return match;
+    }
+    return null;
+  }
+
+  loadRemembered() {
+    try {
+      if (fs.existsSync(this.options.stateFile)) {
+        return JSON.parse(fs.readFileSync(this.options.stateFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('[MicrophoneManager] Failed to load remembered microphone:', error.message);
+    }
+    return null;
+  }
+
+  remember(microphone) {
+    try {
+      fs.mkdirSync(path.dirname(this.options.stateFile), { recursive: true });
+      fs.writeFileSync(this.options.stateFile, JSON.stringify({
+        ...microphone,
+        selectedAt: new Date().toISOString()
+      }, null, 2), 'utf8');
+    } catch (error) {
+      console.error('[MicrophoneManager] Failed to remember microphone:', error.message);
+    }
+  }
+
+  /**
+   * Resolve the microphone to record from.
+   * Order: configured preferences, then the remembered device if it is still
+   * present, then the system default. Enumeration is skipped entirely when
+   * nothing is configured or remembered, keeping hotkey startup fast.
+   *
+   * @param {string} preference - MICROPHONE_DEVICE value
+   * @returns {Promise<Object>} Microphone descriptor ({name, device, env, ...})
+   */
+  async selectMicrophone(preference = process.env.MICROPHONE_DEVICE) {
+    const remembered = this.loadRemembered();
+
+    if (!preference && !remembered) {
+      return MicrophoneManager.defaultMicrophone;
+    }
+
+    const microphones = await this.listMicrophones();
+
+    if (preference) {
+      const preferred = MicrophoneManager.findPreferred(microphones, preference);
+      if (preferred) {
+        if (!remembered || remembered.name !== preferred.name) {
+          this.remember(preferred);
+        }
+        return preferred;
+      }
+      console.warn(`⚠️ No microphone matches MICROPHONE_DEVICE="${preference}"`);
+    }
+
+    if (remembered) {
+      const stillPresent = microphones.find(mic => mic.name === remembered.name);
+      if (stillPresent) {
+        return stillPresent;
+      }
+      console.warn(`⚠️ Remembered microphone "${remembered.name}" is not connected`);
+    }
+
+    console.warn('⚠️ Falling back to system default microphone');
+    return MicrophoneManager.defaultMicrophone;
+  }
+}
+
+module.exports = MicrophoneManager;
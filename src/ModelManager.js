@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const ParakeetV3Provider = require('./providers/ParakeetV3Provider');
+
+/**
+ * Local models behind `voice-input models`
+ * Everything lives in one models directory (MODELS_DIR, default ./models):
+ * - sherpa-onnx model directories for parakeetv3, any layout in
+ *   ParakeetV3Provider.modelTypes
+ * - whisper.cpp GGML files (*.bin) for whispercpp
+ * - manifest.json with SHA-256 checksums, written on import, so a truncated
+ *   download or a corrupted file is caught before the daemon tries to load it
+ *
+ * Switching a model rewrites PARAKEET_MODEL_PATH / WHISPER_CPP_MODEL_PATH in .env.
+ */
+class ModelManager {
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.modelsDir = path.resolve(this.rootDir, options.modelsDir || this.env.MODELS_DIR || 'models');
+    this.envFilePath = options.envFilePath || path.join(this.rootDir, '.env');
+    this.manifestPath = path.join(this.modelsDir, 'manifest.json');
+  }
+
+  /**
+   * Rough RAM use once loaded: weights plus runtime buffers.
+   * An estimate for picking a model, not a measurement.
+   */
+  static RAM_ESTIMATE = {
+    parakeetv3: { factor: 1.3, overheadBytes: 150 * 1024 * 1024 }, // onnxruntime arenas
+    whispercpp: { factor: 1.1, overheadBytes: 200 * 1024 * 1024 } // KV cache and compute buffers
+  };
+
+  /**
+   * Env variables that point each provider at its model
+   */
+  static MODEL_ENV_KEYS = {
+    parakeetv3: 'PARAKEET_MODEL_PATH',
+    whispercpp: 'WHISPER_CPP_MODEL_PATH'
+  };
+
+  /**
+   * Tell which sherpa-onnx layout a directory holds
+   * @param {string} modelPath - Model directory
+   * @returns {string|null} Key of ParakeetV3Provider.modelTypes
+   */
+  static detectModelType(modelPath) {
+    // SenseVoice and NeMo CTC ship the same file names; only the directory name tells them apart
+    const preferred = /sense[-_]?voice/i.test(path.basename(modelPath)) ? ['sense_voice'] : [];
+    const candidates = [...preferred, ...Object.keys(ParakeetV3Provider.modelTypes)];
+
+    return candidates.find(modelType =>
+      ParakeetV3Provider.findModelFiles(modelPath, modelType).missing.length === 0
+    ) || null;
+  }
+
+  /**
+   * @param {number} bytes
+   * @returns {string} e.g. "640 MB", "1.2 GB"
+   */
+  static formatSize(bytes) {
+    if (bytes >= 1024 ** 3) {
+      return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    }
+    return `${Math.round(bytes / 1024 ** 2)} MB`;
+  }
+
+  /**
+   * SHA-256 of a file, streamed so multi-GB models do not fill memory
+   * @param {string} filePath
+   * @returns {Promise<string>} Hex digest
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * All files under a path, relative to it
+   * @param {string} target - File or directory
+   * @returns {string[]}
+   */
+  static listFiles(target) {
+    if (!fs.statSync(target).isDirectory()) {
+      return [path.basename(target)];
+    }
+
+    const files = [];
+    const walk = (dir, prefix) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          walk(path.join(dir, entry.name), relative);
+        } else if (entry.isFile()) {
+          files.push(relative);
+        }
+      }
+    };
+    walk(target, '');
+
+    return files.sort();
+  }
+
+  /**
+   * @returns {{models: Object}} Manifest contents (empty if absent)
+   */
+  loadManifest() {
+    if (!fs.existsSync(this.manifestPath)) {
+      return { models: {} };
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    return { ...manifest, models: manifest.models || {} };
+  }
+
+  saveManifest(manifest) {
+    fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  }
+
+  /**
+   * Describe one entry of the models directory
+   * @param {string} name - File or directory name in modelsDir
+   * @returns {Object|null} null if it is not a recognisable model
+   */
+  inspect(name) {
+    const modelPath = path.join(this.modelsDir, name);
+    if (!fs.existsSync(modelPath)) {
+      return null;
+    }
+
+    const stat = fs.statSync(modelPath);
+    let provider;
+    let modelType = null;
+    let weightFiles;
+
+    if (stat.isDirectory()) {
+      modelType = ModelManager.detectModelType(modelPath);
+      if (!modelType) {
+        return null;
+      }
+      provider = 'parakeetv3';
+      const { files } = ParakeetV3Provider.findModelFiles(modelPath, modelType);
+      weightFiles = Object.values(files).filter(file => file.endsWith('.onnx'));
+    } else if (name.endsWith('.bin')) {
+      provider = 'whispercpp';
+      weightFiles = [modelPath];
+    } else {
+      return null;
+    }
+
+    const sizeBytes = stat.isDirectory()
+      ? ModelManager.listFiles(modelPath).reduce((sum, file) => sum + fs.statSync(path.join(modelPath, file)).size, 0)
+      : stat.size;
+    const weightBytes = weightFiles.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+    const estimate = ModelManager.RAM_ESTIMATE[provider];
+
+    const activePath = this.env[ModelManager.MODEL_ENV_KEYS[provider]];
+    const active = Boolean(activePath) &&
+      path.resolve(this.rootDir, activePath) === modelPath &&
+      (provider !== 'parakeetv3' || (this.env.PARAKEET_MODEL_TYPE || 'transducer').toLowerCase() === modelType);
+
+    return {
+      name,
+      path: modelPath,
+      provider,
+      modelType,
+      sizeBytes,
+      ramBytes: Math.round(weightBytes * estimate.factor + estimate.overheadBytes),
+      active
+    };
+  }
+
+  /**
+   * @returns {Object[]} Installed models, sorted by name
+   */
+  listModels() {
+    if (!fs.existsSync(this.modelsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.modelsDir)
+      .filter(name => !name.startsWith('.') && name !== 'manifest.json')
+      .sort()
+      .map(name => this.inspect(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check installed models against their manifest checksums
+   * @param {string} [name] - One model; every installed or manifest-listed model if omitted
+   * @returns {Promise<Array<{name: string, status: string, problems: string[]}>>}
+   *   status: ok, mismatch, unlisted (no manifest entry), unknown (not a model)
+   */
+  async verify(name = null) {
+    const manifest = this.loadManifest();
+    const names = name
+      ? [name]
+      : [...new Set([...this.listModels().map(model => model.name), ...Object.keys(manifest.models)])].sort();
+    const results = [];
+
+    for (const modelName of names) {
+      const modelPath = path.join(this.modelsDir, modelName);
+      const entry = manifest.models[modelName];
+
+      if (!fs.existsSync(modelPath)) {
+        // Deleted by hand: a stale manifest entry is not worth failing over
+        if (name) {
+          results.push({ name: modelName, status: 'unknown', problems: [`No model named "${modelName}" in ${this.modelsDir}`] });
+        }
+        continue;
+      }
+
+      if (!entry) {
+        results.push(this.inspect(modelName)
+          ? { name: modelName, status: 'unlisted', problems: ['No checksums in manifest.json (import the archive with `voice-input models import`)'] }
+          : { name: modelName, status: 'unknown', problems: [`${modelName} is not a supported model`] });
+        continue;
+      }
+
+      // Check every recorded file, even if the model no longer looks complete
+      const problems = [];
+      for (const [file, expected] of Object.entries(entry.sha256 || {})) {
+        const filePath = entry.provider === 'whispercpp' ? modelPath : path.join(modelPath, file);
+        if (!fs.existsSync(filePath)) {
+          problems.push(`${file}: missing`);
+        } else if (await ModelManager.hashFile(filePath) !== expected) {
+          problems.push(`${file}: checksum mismatch`);
+        }
+      }
+
+      results.push({ name: modelName, status: problems.length === 0 ? 'ok' : 'mismatch', problems });
+    }
+
+    return results;
+  }
+
+  /**
+   * Make a model the one its provider loads, by rewriting .env
+   * @param {string} name - Model name from listModels()
+   * @returns {{model: Object, updates: Object}} The model and the .env values written
+   */
+  switchModel(name) {
+    const model = this.inspect(name);
+    if (!model) {
+      const available = this.listModels().map(entry => entry.name);
+      throw new Error(
+        `[ModelManager] No model named "${name}" in ${this.modelsDir}` +
+        (available.length > 0 ? `. Installed: ${available.join(', ')}` : '')
+      );
+    }
+
+    const updates = { [ModelManager.MODEL_ENV_KEYS[model.provider]]: model.path };
+    if (model.provider === 'parakeetv3') {
+      updates.PARAKEET_MODEL_TYPE = model.modelType;
+    }
+
+    this.updateEnvFile(updates);
+    return { model, updates };
+  }
+
+  /**
+   * Set KEY=value lines in .env, keeping everything else (comments included)
+   * @param {Object} updates - Keys and values to set
+   */
+  updateEnvFile(updates) {
+    const lines = fs.existsSync(this.envFilePath)
+      ? fs.readFileSync(this.envFilePath, 'utf8').split('\n')
+      : [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      const index = lines.findIndex(line => new RegExp(`^\\s*${key}\\s*=`).test(line));
+      if (index !== -1) {
+        lines[index] = `${key}=${value}`;
+      } else {
+        // Keep a trailing newline at the end of the file
+        const insertAt = lines.length > 0 && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+        lines.splice(insertAt, 0, `${key}=${value}`);
+      }
+    }
+
+    let content = lines.join('\n');
+    if (!content.endsWith('\n')) {
+      content += '\n';
+    }
+    fs.writeFileSync(this.envFilePath, content);
+  }
+
+  /**
+   * Install a model from a local file: a sherpa-onnx archive (.tar.bz2,
+   * .tar.gz, .tar.xz, .tar) or a whisper.cpp GGML .bin. Checksums of the
+   * installed files go into manifest.json.
+   * @param {string} source - Path to the archive or .bin file
+   * @param {Object} [options]
+   * @param {string} [options.name] - Directory/file name to install as
+   * @returns {Promise<Object>} The installed model (see inspect())
+   */
+  async importModel(source, options = {}) {
+    const sourcePath = path.resolve(source);
+    if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isFile()) {
+      throw new Error(`[ModelManager] Archive not found: ${sourcePath}`);
+    }
+
+    fs.mkdirSync(this.modelsDir, { recursive: true });
+
+    let name;
+    if (sourcePath.endsWith('.bin')) {
+      name = options.name || path.basename(sourcePath);
+      this._ensureFree(name);
+      console.log(`📥 Copying ${path.basename(sourcePath)}...`);
+      fs.copyFileSync(sourcePath, path.join(this.modelsDir, name));
+    } else {
+      name = await this._extractArchive(sourcePath, options.name);
+    }
+
+    const model = this.inspect(name);
+    if (!model) {
+      fs.rmSync(path.join(this.modelsDir, name), { recursive: true, force: true });
+      throw new Error(
+        `[ModelManager] ${path.basename(sourcePath)} does not contain a supported model ` +
+        `(sherpa-onnx ${Object.keys(ParakeetV3Provider.modelTypes).join('/')} or whisper.cpp .bin)`
+      );
+    }
+
+    console.log('🔐 Computing checksums...');
+    const sha256 = {};
+    for (const file of ModelManager.listFiles(model.path)) {
+      const filePath = model.provider === 'whispercpp' ? model.path : path.join(model.path, file);
+      sha256[file] = await ModelManager.hashFile(filePath);
+    }
+
+    const manifest = this.loadManifest();
+    manifest.models[name] = {
+      provider: model.provider,
+      modelType: model.modelType,
+      source: path.basename(sourcePath),
+      importedAt: new Date().toISOString(),
+      sha256
+    };
+    this.saveManifest(manifest);
+
+    return model;
+  }
+
+  /**
+   * Unpack an archive into modelsDir via a temporary directory, so a failed
+   * extraction never leaves a half-written model behind
+   * @returns {Promise<string>} Installed directory name
+   * @private
+   */
+  async _extractArchive(archivePath, name) {
+    const tempDir = fs.mkdtempSync(path.join(this.modelsDir, '.import-'));
+
+    try {
+      console.log(`📦 Extracting ${path.basename(archivePath)}...`);
+      await new Promise((resolve, reject) => {
+        execFile('tar', ['-xf', archivePath, '-C', tempDir], (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error(`[ModelManager] tar failed: ${(stderr || error.message).trim()}`));
+          } else {
+            resolve();
+          }
+        });
+      });
+
+      // sherpa-onnx archives hold a single top-level directory named after the model
+      const entries = fs.readdirSync(tempDir);
+      const single = entries.length === 1 && fs.statSync(path.join(tempDir, entries[0])).isDirectory();
+      const extracted = single ? path.join(tempDir, entries[0]) : tempDir;
+      const targetName = name ||
+        (single ? entries[0] : path.basename(archivePath).replace(/\.(tar(\.(bz2|gz|xz))?|tgz)$/, ''));
+
+      this._ensureFree(targetName);
+      fs.renameSync(extracted, path.join(this.modelsDir, targetName));
+      return targetName;
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _ensureFree(name) {
+    if (fs.existsSync(path.join(this.modelsDir, name))) {
+      throw new Error(`[ModelManager] ${name} is already installed in ${this.modelsDir}`);
+    }
+  }
+}
+
+module.exports = ModelManager;
@@ -4,6 +4,150 @@ const path = require('path');
 class ProcessManager {
   constructor() {
     this.pidFile = path.join('/tmp', 'voice-input.pid');
+    this.commandDir = path.join('/tmp', 'voice-input.commands');
+    this.pushToTalkFile = path.join('/tmp', 'voice-input.ptt.json');
+  }
+
+  /**
+   * PID of the running voice-input process, if any
+   * @returns {number|null}
+   */
+  getRunningPid() {
+    try {
+      if (!fs.existsSync(this.pidFile)) {
+        return null;
+      }
+
+      const pid = parseInt(fs.readFileSync(this.pidFile, 'utf8').trim());
+      if (isNaN(pid) || pid === process.pid || !this.isProcessRunning(pid)) {
+        return null;
+      }
+
+      return pid;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Deliver a named command (e.g. 'pause', 'resume') to the running process.
+   * SIGUSR1 stays reserved for stop; everything else goes through a command
+   * queue plus SIGUSR2, since signals cannot carry a payload. Each command is
+   * its own file, named by send time, so a quick start + stop never
+   * overwrite each other.
+   * @param {string} command
+   * @returns {boolean} True if a running process was signalled
+   */
+  sendCommand(command) {
+    const pid = this.getRunningPid();
+    if (!pid) {
+      return false;
+    }
+
+    try {
+      const name = `${Date.now()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+      const tempFile = path.join(this.commandDir, `${name}.tmp`);
+      fs.mkdirSync(this.commandDir, { recursive: true });
+      // Written aside and renamed in, so the reader never sees half a command
+      fs.writeFileSync(tempFile, command);
+      fs.renameSync(tempFile, path.join(this.commandDir, `${name}.cmd`));
+      process.kill(pid, 'SIGUSR2');
+      console.log(`📡 Sent "${command}" to voice input process (PID: ${pid})`);
+      return true;
+    } catch (error) {
+      console.log('⚠️ Failed to send command:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record a push-to-talk key event ('down' or 'up').
+   * The file holds the latest key state and is what the recording process
+   * acts on, so a lost or reordered signal can never invert start and stop.
+   * Events are ordered by when the key event happened, not when it got here:
+   * an event older than the stored one is dropped. The check and the write
+   * happen under a lock file, and the write is a rename, so concurrent
+   * start/stop processes never see a half-written or stale state.
+   * @param {string} state - 'down' or 'up'
+   * @param {number} at - Time of the key event (epoch ms)
+   * @returns {boolean} False if the event was out of order and ignored
+   */
+  recordPushToTalk(state, at) {
+    try {
+      return this._withPushToTalkLock(() => {
+        const current = this.readPushToTalk();
+        if (current && current.at > at) {
+          return false;
+        }
+
+        const tempFile = `${this.pushToTalkFile}.${process.pid}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ state, at }));
+        fs.renameSync(tempFile, this.pushToTalkFile);
+        return true;
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to record push-to-talk state:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Run fn while holding an exclusive lock file (O_EXCL create)
+   * @private
+   */
+  _withPushToTalkLock(fn) {
+    const lockFile = `${this.pushToTalkFile}.lock`;
+    const deadline = Date.now() + 1000;
+    const sleep = new Int32Array(new SharedArrayBuffer(4));
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockFile, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      // A holder that crashed leaves the lock behind; nothing holds it this long
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > 2000) {
+          fs.unlinkSync(lockFile);
+          continue;
+        }
+      } catch (error) {
+        continue; // Released in the meantime
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`${lockFile} is held by another process`);
+      }
+      Atomics.wait(sleep, 0, 0, 5);
+    }
+
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+
+  /**
+   * Latest push-to-talk key event
+   * @returns {{state: string, at: number}|null}
+   */
+  readPushToTalk() {
+    try {
+      return JSON.parse(fs.readFileSync(this.pushToTalkFile, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isPushToTalkReleased() {
+    const current = this.readPushToTalk();
+    return !current || current.state === 'up';
   }
 
   async checkAndStopExisting() {
@@ -55,43 +199,34 @@ class ProcessManager {
   }
 
   /**
-   * Kill any orphaned arecord processes from previous crashed sessions
+   * Kill capture processes left behind by crashed sessions.
+   * Every backend process is tracked with the voice-input PID that spawned it;
+   * only those whose owner is gone are killed, and only if the PID still
+   * belongs to that backend's command (PIDs get reused).
    */
   async killOrphanedRecordingProcesses() {
     try {
-      const { execSync } = require('child_process');
-
-      // Find all arecord processes that match our pattern
-      const psOutput = execSync('ps aux | grep "arecord.*voice-input" | grep -v grep || true', {
-        encoding: 'utf8'
-      });
+      const RecordingBackendFactory = require('./backends/RecordingBackendFactory');
+      const tracked = RecordingBackendFactory.readTrackedProcesses();
 
-      if (!psOutput || psOutput.trim().length === 0) {
-        return; // No orphaned processes
-      }
+      for (const [pidStr, entry] of Object.entries(tracked)) {
+        const pid = parseInt(pidStr);
 
-      // Parse PIDs from ps output
-      const lines = psOutput.trim().split('\n');
-      const orphanedPids = [];
+        if (this.isProcessRunning(entry.owner)) {
+          continue; // Still owned by a live recording
+        }
 
-      for (const line of lines) {
-        const parts = line.trim().split(/\s+/);
-        if (parts.length >= 2) {
-          const pid = parseInt(parts[1]);
-          if (!isNaN(pid)) {
-            orphanedPids.push(pid);
+        const BackendClass = RecordingBackendFactory.backends[entry.backend];
+        if (BackendClass && this.isProcessRunning(pid) && this.getProcessCommand(pid) === BackendClass.getCommand()) {
+          try {
+            process.kill(pid, 'SIGTERM');
+            console.log(`🧹 Killed orphaned ${entry.backend} process (PID: ${pid})`);
+          } catch (error) {
+            // Process might already be dead
           }
         }
-      }
 
-      // Kill each orphaned process
-      for (const pid of orphanedPids) {
-        try {
-          process.kill(pid, 'SIGTERM');
-          console.log(`🧹 Killed orphaned arecord process (PID: ${pid})`);
-        } catch (error) {
-          // Process might already be dead
-        }
+        RecordingBackendFactory.untrackProcess(pid);
       }
 
     } catch (error) {
@@ -99,6 +234,19 @@ class ProcessManager {
     }
   }
 
+  /**
+   * Executable name of a running process (from /proc)
+   * @param {number} pid
+   * @returns {string|null}
+   */
+  getProcessCommand(pid) {
+    try {
+      return fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
   createPidFile() {
     try {
       fs.writeFileSync(this.pidFile, process.pid.toString());
@@ -139,6 +287,50 @@ class ProcessManager {
     });
   }
 
+  setupCommandHandler(commandCallback) {
+    // Handle named commands sent with sendCommand()
+    process.on('SIGUSR2', () => {
+      const commands = this.takeCommands();
+      if (commands.length === 0) {
+        // Signals sent close together may arrive as one; an earlier one already drained the queue
+        return;
+      }
+
+      for (const command of commands) {
+        console.log(`\n📨 Received command: ${command}`);
+        if (commandCallback) {
+          commandCallback(command);
+        }
+      }
+    });
+  }
+
+  /**
+   * Remove and return every queued command, oldest first
+   * @returns {string[]}
+   */
+  takeCommands() {
+    let names;
+    try {
+      names = fs.readdirSync(this.commandDir).filter(name => name.endsWith('.cmd')).sort();
+    } catch (error) {
+      return [];
+    }
+
+    const commands = [];
+    for (const name of names) {
+      const file = path.join(this.commandDir, name);
+      try {
+        const command = fs.readFileSync(file, 'utf8').trim();
+        fs.unlinkSync(file);
+        commands.push(command);
+      } catch (error) {
+        console.log(`⚠️ Failed to read command ${name}:`, error.message);
+      }
+    }
+    return commands;
+  }
+
   setupCleanupHandlers() {
     // Handle graceful shutdown
     const cleanup = () => {
@@ -0,0 +1,225 @@
+const ProviderFactory = require('./providers/ProviderFactory');
+const SimpleAudioRecorder = require('./SimpleAudioRecorder');
+
+/**
+ * Diagnostics behind `voice-input providers check`
+ * Builds every configured provider from the environment and makes it
+ * transcribe a short built-in clip: cloud providers prove the URL and key
+ * work, local ones prove the model loads and decodes. The active provider
+ * decides the exit code: the first of a fallback list, or every member of a
+ * race. Later fallback entries are warnings; other configured providers are
+ * only reported.
+ */
+class ProviderHealthCheck {
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.timeout = options.timeout || 30000; // Per provider
+  }
+
+  static STATUS_ICONS = {
+    ok: '✅',
+    auth: '🔑',
+    missing: '📁',
+    config: '⚙️',
+    error: '❌'
+  };
+
+  /**
+   * One second of quiet tone as 16kHz mono WAV: every provider accepts it,
+   * and it is small enough to cost nothing on paid APIs
+   * @returns {Buffer}
+   */
+  static createTestClip() {
+    const sampleRate = 16000;
+    const samples = sampleRate;
+    const data = Buffer.alloc(samples * 2);
+
+    for (let i = 0; i < samples; i++) {
+      // Short linear fade in/out avoids clicks
+      const envelope = Math.min(1, i / 160, (samples - i) / 160);
+      const sample = Math.sin(2 * Math.PI * 440 * i / sampleRate) * 0.2 * envelope;
+      data.writeInt16LE(Math.round(sample * 32767), i * 2);
+    }
+
+    return Buffer.concat([SimpleAudioRecorder.createWavHeader(data.length, sampleRate, 1), data]);
+  }
+
+  /**
+   * Providers used for dictation: TRANSCRIPTION_PROVIDER (all entries of a
+   * list), or whatever auto-detection picks
+   * @returns {string[]}
+   */
+  getActiveProviderNames() {
+    const configured = this.env.TRANSCRIPTION_PROVIDER || this.env.PROVIDER;
+    if (configured) {
+      return ProviderFactory.parseProviderList(configured);
+    }
+
+    const detected = ProviderFactory.detectProviderName(this.env);
+    return detected ? [detected] : [];
+  }
+
+  /**
+   * Configured providers first, then every other provider whose config is present.
+   * A fallback list only needs its first entry to work; a race uses them all.
+   * @returns {Array<{name: string, active: boolean, fallback: boolean}>}
+   * @throws {Error} If TRANSCRIPTION_STRATEGY is unknown
+   */
+  getProvidersToCheck() {
+    const configured = this.getActiveProviderNames();
+    const strategy = (this.env.TRANSCRIPTION_STRATEGY || 'fallback').toLowerCase().trim();
+    if (!ProviderFactory.strategies[strategy]) {
+      throw new Error(
+        `Unknown transcription strategy: "${this.env.TRANSCRIPTION_STRATEGY}". ` +
+        `Available strategies: ${Object.keys(ProviderFactory.strategies).join(', ')}`
+      );
+    }
+    const race = strategy === 'race';
+    const others = ProviderFactory.getAvailableProviders().filter(name => {
+      if (configured.includes(name)) {
+        return false;
+      }
+      const ProviderClass = ProviderFactory.providers[name];
+      return ProviderClass.validateConfig(ProviderFactory._buildConfigFromEnv(name, this.env));
+    });
+
+    return [
+      ...configured.map((name, index) => {
+        const active = race || index === 0;
+        return { name, active, fallback: !active };
+      }),
+      ...others.map(name => ({ name, active: false, fallback: false }))
+    ];
+  }
+
+  /**
+   * @returns {string} " (active)", " (fallback)" or nothing
+   */
+  static describeRole({ active, fallback }) {
+    if (active) {
+      return ' (active)';
+    }
+    return fallback ? ' (fallback)' : '';
+  }
+
+  /**
+   * Create one provider and run the test clip through it
+   * @param {string} name - Provider id
+   * @returns {Promise<{name: string, status: string, latencyMs: number|null, message: string}>}
+   */
+  async checkProvider(name) {
+    let provider;
+
+    try {
+      // One attempt only: a health check should report, not wait out retries
+      provider = ProviderFactory.create(name, {
+        ...ProviderFactory._buildConfigFromEnv(name, this.env),
+        maxRetries: 1,
+        deadline: this.timeout
+      });
+    } catch (error) {
+      // Model files and binaries are verified when the provider is created
+      const status = /not found|Missing model files/.test(error.message) ? 'missing' : 'config';
+      return { name, status, latencyMs: null, message: error.message.split('\n')[0] };
+    }
+
+    const controller = new AbortController();
+    const startTime = Date.now();
+    let timer = null;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`No answer within ${this.timeout}ms`));
+        }, this.timeout);
+      });
+
+      const text = await Promise.race([
+        provider.transcribe(ProviderHealthCheck.createTestClip(), { signal: controller.signal }),
+        timeout
+      ]);
+
+      return {
+        name,
+        status: 'ok',
+        latencyMs: Date.now() - startTime,
+        message: text ? `heard "${text}"` : 'no speech in test clip'
+      };
+
+    } catch (error) {
+      const latencyMs = Date.now() - startTime;
+
+      // The clip is a tone: a reachable, authorised provider may well hear nothing
+      if (error.message === 'Empty transcription result') {
+        return { name, status: 'ok', latencyMs, message: 'no speech in test clip' };
+      }
+
+      const httpStatus = error.response?.status;
+      if (httpStatus === 401 || httpStatus === 403) {
+        return { name, status: 'auth', latencyMs, message: `HTTP ${httpStatus} - check the API key` };
+      }
+
+      const status = /not found|Missing model files/.test(error.message) ? 'missing' : 'error';
+      const message = httpStatus ? `HTTP ${httpStatus}: ${error.message}` : error.message.split('\n')[0];
+      return { name, status, latencyMs, message };
+
+    } finally {
+      clearTimeout(timer);
+      provider.dispose();
+    }
+  }
+
+  /**
+   * Check every provider in turn and print a summary
+   * @returns {Promise<{results: Object[], exitCode: number}>} exitCode is 1 if an active provider
+   *   failed; a broken fallback entry only warns
+   */
+  async run() {
+    const providers = this.getProvidersToCheck();
+
+    if (providers.length === 0) {
+      console.log('❌ No transcription provider configured. Set TRANSCRIPTION_PROVIDER or an API key in .env');
+      return { results: [], exitCode: 1 };
+    }
+
+    const results = [];
+
+    for (const { name, active, fallback } of providers) {
+      console.log(`🔍 Checking ${name}${ProviderHealthCheck.describeRole({ active, fallback })}...`);
+
+      const result = ProviderFactory.providers[name]
+        ? await this.checkProvider(name)
+        : { name, status: 'config', latencyMs: null, message: 'Unknown provider' };
+
+      results.push({ ...result, active, fallback });
+    }
+
+    console.log('\n🩺 Provider health');
+    console.log('=====================================');
+
+    for (const result of results) {
+      const icon = ProviderHealthCheck.STATUS_ICONS[result.status];
+      const latency = result.latencyMs !== null ? ` ${result.latencyMs}ms` : '';
+      console.log(`${icon} ${result.name}${ProviderHealthCheck.describeRole(result)}: ${result.status}${latency} - ${result.message}`);
+    }
+
+    const brokenActive = results.filter(result => result.active && result.status !== 'ok');
+    const brokenFallback = results.filter(result => result.fallback && result.status !== 'ok');
+    console.log('=====================================');
+
+    if (brokenFallback.length > 0) {
+      console.log(`⚠️ Fallback provider broken: ${brokenFallback.map(result => result.name).join(', ')}`);
+    }
+
+    if (brokenActive.length > 0) {
+      console.log(`❌ Active provider broken: ${brokenActive.map(result => result.name).join(', ')}`);
+      return { results, exitCode: 1 };
+    }
+
+    console.log('✅ Active provider works');
+    return { results, exitCode: 0 };
+  }
+}
+
+module.exports = ProviderHealthCheck;
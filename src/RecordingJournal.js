@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const SimpleAudioRecorder = require('./SimpleAudioRecorder');
+
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * Writes the PCM of the active recording to disk in rolling WAV segments so
+ * a crash mid-dictation loses at most the last chunk.
+ *
+ * Each session gets a directory under var/recordings/in-progress/ holding
+ * session.json (owner PID, audio format) and segment-0001.wav, -0002.wav, ...
+ * A segment's header is patched when it is closed; a segment cut off by a
+ * crash keeps a zero-length header, which recover() repairs from the file
+ * size before merging all segments into one WAV.
+ */
+class RecordingJournal {
+  constructor(options = {}) {
+    // Options first: an explicit undefined (unset env var) must not wipe a default
+    this.options = {
+      ...options,
+      dir: options.dir || path.join(__dirname, '..', 'var', 'recordings', 'in-progress'),
+      sampleRate: options.sampleRate || 16000,
+      channels: options.channels || 1,
+      segmentMs: options.segmentMs || 30000 // New segment file every N ms of audio
+    };
+
+    this.session = null;
+    this.segment = null;
+  }
+
+  get bytesPerSecond() {
+    return this.options.sampleRate * this.options.channels * 2;
+  }
+
+  /**
+   * Open a journal for a new recording
+   * @param {string} sessionId - Session ID used in logs
+   */
+  start(sessionId) {
+    this.finish();
+
+    try {
+      const startedAt = Date.now();
+      // Daemon mode reuses the session ID, so the start time keeps dirs unique
+      const dir = path.join(this.options.dir, `${sessionId}-${startedAt}`);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'session.json'), JSON.stringify({
+        sessionId,
+        pid: process.pid,
+        startedAt: new Date(startedAt).toISOString(),
+        sampleRate: this.options.sampleRate,
+        channels: this.options.channels
+      }, null, 2), 'utf8');
+
+      this.session = { dir, segmentCount: 0 };
+      this._openSegment();
+    } catch (error) {
+      console.error('[RecordingJournal] Failed to start journal:', error.message);
+      this.session = null;
+    }
+  }
+
+  /**
+   * Append captured PCM. Write errors disable the journal instead of
+   * interrupting the recording, which still lives in memory.
+   * @param {Buffer} chunk - S16_LE samples
+   */
+  write(chunk) {
+    if (!this.segment) return;
+
+    try {
+      fs.writeSync(this.segment.fd, chunk);
+      this.segment.bytes += chunk.length;
+
+      if (this.segment.bytes >= this.bytesPerSecond * this.options.segmentMs / 1000) {
+        this._closeSegment();
+        this._openSegment();
+      }
+    } catch (error) {
+      console.error('[RecordingJournal] Failed to write segment, journaling disabled:', error.message);
+      this._closeSegment();
+      this.session = null;
+    }
+  }
+
+  /**
+   * Close the current segment, leaving the files on disk
+   */
+  finish() {
+    this._closeSegment();
+  }
+
+  /**
+   * Delete the journal of the current recording once it is no longer needed
+   */
+  discard() {
+    this._closeSegment();
+
+    if (this.session) {
+      fs.rmSync(this.session.dir, { recursive: true, force: true });
+      this.session = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _openSegment() {
+    this.session.segmentCount++;
+    const segmentPath = path.join(
+      this.session.dir,
+      `segment-${String(this.session.segmentCount).padStart(4, '0')}.wav`
+    );
+
+    const fd = fs.openSync(segmentPath, 'w');
+    fs.writeSync(fd, this._createHeader(0));
+    this.segment = { fd, path: segmentPath, bytes: 0 };
+  }
+
+  /**
+   * @private
+   */
+  _closeSegment() {
+    if (!this.segment) return;
+
+    const { fd, bytes } = this.segment;
+    this.segment = null;
+
+    try {
+      fs.writeSync(fd, this._createHeader(bytes), 0, WAV_HEADER_SIZE, 0);
+    } catch (error) {
+      console.error('[RecordingJournal] Failed to finalize segment header:', error.message);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _createHeader(dataLength) {
+    return SimpleAudioRecorder.createWavHeader(dataLength, this.options.sampleRate, this.options.channels);
+  }
+
+  /**
+   * Journals left behind by a process that is no longer running
+   * @returns {Array<{id: string, dir: string, sessionId: string, startedAt: string, sampleRate: number, channels: number, segments: string[], bytes: number, durationMs: number}>}
+   */
+  findUnfinished() {
+    if (!fs.existsSync(this.options.dir)) {
+      return [];
+    }
+
+    const unfinished = [];
+
+    for (const id of fs.readdirSync(this.options.dir).sort()) {
+      const dir = path.join(this.options.dir, id);
+      let meta;
+
+      try {
+        meta = JSON.parse(fs.readFileSync(path.join(dir, 'session.json'), 'utf8'));
+      } catch (error) {
+        // Crashed before session.json was written; segments use our format
+        meta = { sessionId: id, pid: null, startedAt: null };
+      }
+
+      if (meta.pid && RecordingJournal.isProcessRunning(meta.pid)) {
+        continue;
+      }
+
+      const sampleRate = meta.sampleRate || this.options.sampleRate;
+      const channels = meta.channels || this.options.channels;
+      const segments = fs.readdirSync(dir)
+        .filter(file => /^segment-\d+\.wav$/.test(file))
+        .sort()
+        .map(file => path.join(dir, file));
+
+      const bytes = segments.reduce(
+        (total, segmentPath) => total + Math.max(0, fs.statSync(segmentPath).size - WAV_HEADER_SIZE),
+        0
+      );
+
+      unfinished.push({
+        id,
+        dir,
+        sessionId: meta.sessionId,
+        startedAt: meta.startedAt,
+        sampleRate,
+        channels,
+        segments,
+        bytes,
+        durationMs: Math.round(bytes / (sampleRate * channels * 2) * 1000)
+      });
+    }
+
+    return unfinished;
+  }
+
+  static isProcessRunning(pid) {
+    if (pid === process.pid) return true;
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Merge the segments of an unfinished journal into one WAV with a correct
+   * header, then delete the journal.
+   * Segment headers are ignored: a crash leaves the last one claiming zero
+   * data, so the PCM length is taken from the file size instead.
+   *
+   * @param {Object} session - Entry from findUnfinished()
+   * @param {string} outputPath - Where to write the recovered WAV
+   * @returns {string|null} outputPath, or null when the journal held no audio
+   */
+  recover(session, outputPath) {
+    const blockAlign = session.channels * 2;
+    const pcmParts = session.segments.map((segmentPath) => {
+      const data = fs.readFileSync(segmentPath);
+      const pcm = data.slice(0, 4).toString() === 'RIFF' ? data.slice(WAV_HEADER_SIZE) : data;
+      // A crash can cut the last write mid-sample
+      return pcm.slice(0, pcm.length - (pcm.length % blockAlign));
+    });
+
+    const pcm = Buffer.concat(pcmParts);
+    let recoveredPath = null;
+
+    if (pcm.length > 0) {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, Buffer.concat([
+        SimpleAudioRecorder.createWavHeader(pcm.length, session.sampleRate, session.channels),
+        pcm
+      ]));
+      recoveredPath = outputPath;
+    }
+
+    fs.rmSync(session.dir, { recursive: true, force: true });
+    return recoveredPath;
+  }
+}
+
+module.exports = RecordingJournal;
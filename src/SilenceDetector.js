@@ -0,0 +1,61 @@
+const EventEmitter = require('events');
+const AudioLevelMeter = require('./AudioLevelMeter');
+
+/**
+ * Simple energy-based voice activity detector for S16_LE mono PCM.
+ *
+ * Emits 'speech' the first time a chunk crosses the threshold and 'silence'
+ * once the signal stays below it for silenceMs *after* speech was heard, so
+ * the pause before the user starts talking never ends a recording.
+ */
+class SilenceDetector extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // Options first: an explicit undefined (unset env var) must not wipe a default
+    this.options = {
+      ...options,
+      sampleRate: options.sampleRate || 16000,
+      silenceMs: options.silenceMs || 2000,
+      threshold: options.threshold || 0.01 // RMS as a fraction of full scale
+    };
+
+    this.reset();
+  }
+
+  reset() {
+    this.speechDetected = false;
+    this.silenceDuration = 0;
+    this.triggered = false;
+  }
+
+  /**
+   * Feed the next chunk of captured audio
+   * @param {Buffer} chunk - S16_LE mono samples
+   */
+  process(chunk) {
+    if (this.triggered) return;
+
+    const { rms } = AudioLevelMeter.measure(chunk);
+    const chunkMs = (chunk.length / 2 / this.options.sampleRate) * 1000;
+
+    if (rms >= this.options.threshold) {
+      if (!this.speechDetected) {
+        this.speechDetected = true;
+        this.emit('speech');
+      }
+      this.silenceDuration = 0;
+      return;
+    }
+
+    if (!this.speechDetected) return;
+
+    this.silenceDuration += chunkMs;
+    if (this.silenceDuration >= this.options.silenceMs) {
+      this.triggered = true;
+      this.emit('silence', { silenceMs: Math.round(this.silenceDuration) });
+    }
+  }
+}
+
+module.exports = SilenceDetector;
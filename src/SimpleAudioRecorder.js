@@ -1,27 +1,73 @@
 const EventEmitter = require('events');
 const { spawn } = require('child_process');
-const fs = require('fs');
-const path = require('path');
-
+const MicrophoneManager = require('./MicrophoneManager');
+const SilenceDetector = require('./SilenceDetector');
+const AudioLevelMeter = require('./AudioLevelMeter');
+const RecordingBackendFactory = require('./backends/RecordingBackendFactory');
+
+/**
+ * Records from the microphone entirely in memory.
+ *
+ * The capture backend (arecord, pw-record, parecord or ffmpeg) writes raw PCM
+ * to stdout; chunks are kept for the WAV fallback and streamed into ffmpeg at
+ * the same time, so the compressed upload is ready almost as soon as
+ * recording stops and nothing is left behind in /tmp.
+ */
 class SimpleAudioRecorder extends EventEmitter {
   constructor(options = {}) {
     super();
 
+    // Options first: an explicit undefined (unset env var) must not wipe a default
     this.options = {
+      ...options,
       device: options.device || 'default',
+      backend: options.backend || 'auto', // arecord, pw-record, parecord, ffmpeg or auto
       sampleRate: options.sampleRate || 16000,
       channels: options.channels || 1,
       format: options.format || 'wav',
       enableCompression: options.enableCompression !== false, // Default: enabled
       compressionFormat: options.compressionFormat || 'opus', // opus, mp3, etc.
       compressionBitrate: options.compressionBitrate || '32k', // Good for speech
-      ...options
+      autoStopOnSilence: options.autoStopOnSilence || false, // Hands-free mode
+      silenceDurationMs: options.silenceDurationMs || 2000, // Quiet time after speech that ends recording
+      silenceThreshold: options.silenceThreshold || 0.01, // RMS level below which audio counts as silence
+      maxDurationMs: options.maxDurationMs || 0, // Hard limit, 0 = unlimited
+      levelIntervalMs: options.levelIntervalMs || 100, // How often 'level' events fire
+      preRollMs: options.preRollMs || 0, // Audio kept from before the hotkey (daemon mode), 0 = off
+      preprocessor: options.preprocessor || null, // AudioPreprocessor applied by the encoder
+      journal: options.journal || null // RecordingJournal that mirrors PCM to disk
     };
 
+    this.microphone = this.options.device === 'default'
+      ? MicrophoneManager.defaultMicrophone
+      : { name: this.options.device, description: '', source: 'alsa', device: this.options.device, env: {} };
+
     this.isRecording = false;
     this.recordingProcess = null;
-    this.audioBuffer = [];
-    this.tempFile = null;
+    this.backend = null;
+    this.pcmChunks = [];
+    this.encoder = null;
+    this.silenceDetector = null;
+    this.maxDurationTimer = null;
+    this.maxDurationLeftMs = 0; // Recording time left before the max-duration stop
+    this.maxDurationArmedAt = 0;
+    this.levelMeter = null;
+    this.lastLevelStats = null; // Stats of the most recently stopped recording
+    this.isPaused = false;
+    this.segments = []; // [{startedAt, bytes}] captured between pauses
+    this.preRollActive = false;
+    this.preRollChunks = [];
+    this.preRollBytes = 0;
+    this.lastPreRollMs = 0; // Pre-roll prepended to the current recording
+  }
+
+  /**
+   * Switch the capture device without losing compression settings
+   * @param {Object} microphone - Descriptor from MicrophoneManager
+   */
+  setMicrophone(microphone) {
+    this.microphone = microphone;
+    this.options.device = microphone.device;
   }
 
   async startRecording() {
@@ -33,39 +79,43 @@ class SimpleAudioRecorder extends EventEmitter {
       try {
         console.log('🔴 Recording started - press hotkey again to stop');
 
-        // Create temporary file for recording
-        this.tempFile = path.join('/tmp', `voice-input-${Date.now()}.wav`);
-
-        // Start arecord process
-        const arecordArgs = [
-          '-D', this.options.device,
-          '-f', 'S16_LE',
-          '-c', this.options.channels.toString(),
-          '-r', this.options.sampleRate.toString(),
-          this.tempFile
-        ];
+        this.pcmChunks = [];
+        this.lastLevelStats = null;
+        this.lastPreRollMs = 0;
+        this.isPaused = false;
+        this.segments = [{ startedAt: Date.now(), bytes: 0 }];
 
-        this.recordingProcess = spawn('arecord', arecordArgs, {
-          stdio: ['ignore', 'pipe', 'pipe']
+        this.levelMeter = new AudioLevelMeter({
+          sampleRate: this.options.sampleRate * this.options.channels,
+          intervalMs: this.options.levelIntervalMs
         });
+        this.levelMeter.on('level', level => this.emit('level', level));
+
+        // Pre-roll capture is already running: switch it over, no spawn gap
+        const reuseCapture = this.preRollActive && this.recordingProcess;
+
+        if (!reuseCapture) {
+          this._spawnCapture(reject);
+        }
 
         this.isRecording = true;
 
-        this.recordingProcess.on('error', (error) => {
-          console.error('[SimpleAudioRecorder] Recording error:', error);
-          this.isRecording = false;
-          this.cleanup();
-          reject(error);
-        });
+        // ffmpeg runs when compressing or when a preprocessing chain is set
+        if (this.options.enableCompression || this._hasPreprocessing()) {
+          this.encoder = this._startEncoder();
+        }
 
-        this.recordingProcess.stderr.on('data', (data) => {
-          const errorText = data.toString();
-          if (errorText.includes('overrun')) {
-            // Audio overruns are common and not critical
-            return;
+        if (reuseCapture) {
+          const preRoll = this._drainPreRoll();
+          if (preRoll.length > 0) {
+            const preRollMs = Math.round(preRoll.length / (this.options.sampleRate * this.options.channels * 2) * 1000);
+            console.log(`⏪ Prepending ${preRollMs}ms of pre-roll audio`);
+            this.lastPreRollMs = preRollMs;
+            this._handleAudioChunk(preRoll);
           }
-          console.error('[SimpleAudioRecorder] arecord stderr:', errorText.trim());
-        });
+        }
+
+        this._startAutoStopMonitoring();
 
         // Recording started successfully
         this.emit('recordingStarted');
@@ -80,85 +130,472 @@ class SimpleAudioRecorder extends EventEmitter {
   }
 
   /**
-   * Compress WAV audio file using ffmpeg
-   * @param {string} inputPath - Path to input WAV file
-   * @returns {Promise<{buffer: Buffer, format: string, extension: string}>} Compressed audio data
+   * Spawn the capture backend. Its stdout feeds either the active recording
+   * or, between recordings, the pre-roll ring buffer.
+   * @param {Function} onError - Called if the process cannot be started
+   * @private
    */
-  async compressAudio(inputPath) {
-    return new Promise((resolve, reject) => {
-      const format = this.options.compressionFormat;
-      const extension = format === 'opus' ? 'ogg' : format; // Opus uses OGG container
-      const outputPath = inputPath.replace('.wav', `.${extension}`);
-
-      console.log(`🗜️ Compressing audio: WAV → ${format.toUpperCase()}...`);
-
-      // Build ffmpeg command based on format
-      const ffmpegArgs = [
-        '-i', inputPath,
-        '-vn', // No video
-        '-ar', this.options.sampleRate.toString(), // Sample rate
-        '-ac', this.options.channels.toString(), // Channels
-        '-b:a', this.options.compressionBitrate, // Bitrate
-        '-y' // Overwrite output
-      ];
-
-      // Format-specific options
-      if (format === 'opus') {
-        ffmpegArgs.push('-c:a', 'libopus'); // Opus codec
-        ffmpegArgs.push('-application', 'voip'); // Optimize for speech
-      } else if (format === 'mp3') {
-        ffmpegArgs.push('-c:a', 'libmp3lame'); // MP3 codec
+  _spawnCapture(onError) {
+    this.backend = RecordingBackendFactory.create(this.options.backend, this.options, this.microphone);
+    const backendName = this.backend.constructor.getBackendName();
+    const command = this.backend.constructor.getCommand();
+
+    // Start capture process: raw PCM to stdout, no file on disk
+    const recordingProcess = spawn(command, this.backend.buildArgs(this.microphone), {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, ...this.backend.buildEnv(this.microphone) }
+    });
+    this.recordingProcess = recordingProcess;
+
+    let headerChecked = false;
+
+    if (recordingProcess.pid) {
+      RecordingBackendFactory.trackProcess(recordingProcess.pid, backendName);
+    }
+
+    recordingProcess.on('close', () => {
+      RecordingBackendFactory.untrackProcess(recordingProcess.pid);
+
+      // Idle pre-roll capture died (e.g. headset unplugged); respawn on next start
+      if (this.recordingProcess === recordingProcess && !this.isRecording) {
+        this.recordingProcess = null;
+        this.preRollChunks = [];
+        this.preRollBytes = 0;
       }
+    });
 
-      ffmpegArgs.push(outputPath);
+    recordingProcess.on('error', (error) => {
+      console.error(`[SimpleAudioRecorder] Recording error (${backendName}):`, error);
+      this.isRecording = false;
+      this.cleanup();
+      onError(error);
+    });
 
-      const ffmpeg = spawn('ffmpeg', ffmpegArgs, {
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
+    recordingProcess.stdout.on('data', (chunk) => {
+      if (!headerChecked) {
+        headerChecked = true;
+        chunk = SimpleAudioRecorder.stripWavHeader(chunk);
+      }
+
+      if (this.isRecording) {
+        if (!this.isPaused) {
+          this._handleAudioChunk(chunk);
+        }
+      } else if (this.preRollActive) {
+        this._pushPreRoll(chunk);
+      }
+    });
+
+    recordingProcess.stderr.on('data', (data) => {
+      const errorText = data.toString();
+      if (this.backend && this.backend.isIgnorableStderr(errorText)) {
+        return;
+      }
+      console.error(`[SimpleAudioRecorder] ${command} stderr:`, errorText.trim());
+    });
+  }
+
+  /**
+   * Pause the current recording. The capture process keeps running so resume
+   * is instant, but audio is discarded until resume(); the segments on either
+   * side are joined into one recording before it reaches the encoder.
+   * @returns {boolean} True if the recording was paused
+   */
+  pause() {
+    if (!this.isRecording || this.isPaused) {
+      return false;
+    }
+
+    this.isPaused = true;
+
+    // Pausing mid-sentence must not look like the end of speech
+    if (this.silenceDetector) {
+      this.silenceDetector.reset();
+    }
+
+    // Paused time does not count towards the maximum duration
+    if (this.maxDurationTimer) {
+      clearTimeout(this.maxDurationTimer);
+      this.maxDurationTimer = null;
+      this.maxDurationLeftMs -= Date.now() - this.maxDurationArmedAt;
+    }
+
+    const segment = this.segments[this.segments.length - 1];
+    console.log(`⏸️ Recording paused (segment ${this.segments.length}, ${((Date.now() - segment.startedAt) / 1000).toFixed(1)}s)`);
+    this.emit('recordingPaused', { segment: this.segments.length });
+    return true;
+  }
+
+  /**
+   * Resume a paused recording as a new segment
+   * @returns {boolean} True if the recording was resumed
+   */
+  resume() {
+    if (!this.isRecording || !this.isPaused) {
+      return false;
+    }
+
+    this.isPaused = false;
+    this.segments.push({ startedAt: Date.now(), bytes: 0 });
+
+    if (this.maxDurationLeftMs > 0 && !this.maxDurationTimer) {
+      this._armMaxDurationTimer();
+    }
+
+    console.log(`▶️ Recording resumed (segment ${this.segments.length})`);
+    this.emit('recordingResumed', { segment: this.segments.length });
+    return true;
+  }
 
-      let stderrOutput = '';
+  /**
+   * Keep the microphone open between recordings and remember the last
+   * preRollMs of audio, so the first syllable spoken right after the hotkey
+   * is not lost to process startup. Used by daemon mode only.
+   */
+  startPreRoll() {
+    if (!(this.options.preRollMs > 0) || this.preRollActive) {
+      return;
+    }
 
-      ffmpeg.stderr.on('data', (data) => {
-        stderrOutput += data.toString();
+    this.preRollActive = true;
+    this.preRollChunks = [];
+    this.preRollBytes = 0;
+
+    if (!this.isRecording && !this.recordingProcess) {
+      this._spawnCapture((error) => {
+        console.error('⚠️ Pre-roll capture failed:', error.message);
+        this.preRollActive = false;
       });
+    }
+
+    console.log(`⏪ Pre-roll buffer active (${this.options.preRollMs}ms)`);
+  }
+
+  /**
+   * Close the idle microphone and drop buffered audio
+   */
+  stopPreRoll() {
+    this.preRollActive = false;
+    this.preRollChunks = [];
+    this.preRollBytes = 0;
+
+    if (!this.isRecording && this.recordingProcess && !this.recordingProcess.killed) {
+      try {
+        this.recordingProcess.kill('SIGTERM');
+      } catch (error) {
+        // Process might already be dead
+      }
+      this.recordingProcess = null;
+    }
+  }
+
+  /**
+   * Append to the ring buffer, dropping the oldest whole frames beyond
+   * preRollMs
+   * @private
+   */
+  _pushPreRoll(chunk) {
+    const frameSize = this.options.channels * 2;
+    const maxBytes = Math.floor(this.options.sampleRate * this.options.preRollMs / 1000) * frameSize;
+
+    this.preRollChunks.push(chunk);
+    this.preRollBytes += chunk.length;
+
+    while (this.preRollBytes > maxBytes && this.preRollChunks.length > 0) {
+      const excess = this.preRollBytes - maxBytes;
+      const head = this.preRollChunks[0];
+
+      if (head.length <= excess) {
+        this.preRollChunks.shift();
+        this.preRollBytes -= head.length;
+      } else {
+        // Trim whole frames only, so samples stay aligned
+        const trim = Math.ceil(excess / frameSize) * frameSize;
+        this.preRollChunks[0] = head.slice(trim);
+        this.preRollBytes -= Math.min(trim, head.length);
+      }
+    }
+  }
+
+  /**
+   * @returns {Buffer} Buffered pre-roll audio (buffer is emptied)
+   * @private
+   */
+  _drainPreRoll() {
+    const preRoll = Buffer.concat(this.preRollChunks);
+    this.preRollChunks = [];
+    this.preRollBytes = 0;
+    return preRoll;
+  }
+
+  /**
+   * Fan one PCM chunk out to the in-memory buffer, the level meter, the
+   * streaming encoder and the silence detector
+   * @private
+   */
+  _handleAudioChunk(chunk) {
+    this.pcmChunks.push(chunk);
+    this.segments[this.segments.length - 1].bytes += chunk.length;
+
+    if (this.options.journal) {
+      this.options.journal.write(chunk);
+    }
+
+    if (this.levelMeter) {
+      this.levelMeter.process(chunk);
+    }
+
+    if (this.encoder && !this.encoder.failed) {
+      this.encoder.process.stdin.write(chunk);
+    }
+
+    if (this.silenceDetector) {
+      this.silenceDetector.process(chunk);
+    }
+  }
+
+  /**
+   * Arm the max-duration timer and, in hands-free mode, a SilenceDetector fed
+   * from the capture stream. Both end up emitting 'autoStop'; the owner
+   * decides how to stop, exactly as with a hotkey press.
+   * @private
+   */
+  _startAutoStopMonitoring() {
+    if (this.options.maxDurationMs > 0) {
+      this.maxDurationLeftMs = this.options.maxDurationMs;
+      this._armMaxDurationTimer();
+    }
+
+    if (!this.options.autoStopOnSilence) {
+      return;
+    }
+
+    this.silenceDetector = new SilenceDetector({
+      sampleRate: this.options.sampleRate * this.options.channels,
+      silenceMs: this.options.silenceDurationMs,
+      threshold: this.options.silenceThreshold
+    });
+
+    this.silenceDetector.once('silence', ({ silenceMs }) => {
+      console.log(`🤫 Silence detected (${silenceMs}ms) - stopping recording`);
+      this.emit('autoStop', { reason: 'silence', silenceMs });
+    });
+  }
+
+  /**
+   * Start (or, after a pause, restart) the max-duration timer for the time left
+   * @private
+   */
+  _armMaxDurationTimer() {
+    this.maxDurationArmedAt = Date.now();
+    this.maxDurationTimer = setTimeout(() => {
+      this.maxDurationTimer = null;
+      this.maxDurationLeftMs = 0;
+      console.log(`⏱️ Maximum recording duration reached (${Math.round(this.options.maxDurationMs / 1000)}s)`);
+      this.emit('autoStop', { reason: 'maxDuration', durationMs: this.options.maxDurationMs });
+    }, Math.max(0, this.maxDurationLeftMs));
+  }
+
+  /**
+   * @private
+   */
+  _stopAutoStopMonitoring() {
+    if (this.maxDurationTimer) {
+      clearTimeout(this.maxDurationTimer);
+      this.maxDurationTimer = null;
+    }
+    this.maxDurationLeftMs = 0;
+
+    if (this.silenceDetector) {
+      this.silenceDetector.removeAllListeners();
+      this.silenceDetector = null;
+    }
+  }
+
+  _hasPreprocessing() {
+    return Boolean(this.options.preprocessor && this.options.preprocessor.hasFilters());
+  }
+
+  /**
+   * Start ffmpeg reading raw PCM from stdin and writing the compressed
+   * container to stdout, so encoding runs while the user is still speaking.
+   * With compression disabled it only applies the preprocessing chain and
+   * returns raw PCM, which is wrapped in a WAV header at the end.
+   * @returns {{process: ChildProcess, done: Promise<{buffer: Buffer, format: string, extension: string}>, failed: boolean, raw: boolean}}
+   * @private
+   */
+  _startEncoder() {
+    const raw = !this.options.enableCompression;
+    const format = raw ? 'wav' : this.options.compressionFormat;
+    const extension = format === 'opus' ? 'ogg' : format; // Opus uses OGG container
+
+    // Build ffmpeg command based on format
+    const ffmpegArgs = [
+      '-f', 's16le',
+      '-ar', this.options.sampleRate.toString(),
+      '-ac', this.options.channels.toString(),
+      '-i', 'pipe:0',
+      '-vn', // No video
+      ...(this._hasPreprocessing() ? this.options.preprocessor.getFfmpegArgs() : []),
+      '-ar', this.options.sampleRate.toString(), // Sample rate
+      '-ac', this.options.channels.toString() // Channels
+    ];
+
+    // Format-specific options
+    if (raw) {
+      ffmpegArgs.push('-f', 's16le');
+    } else if (format === 'opus') {
+      ffmpegArgs.push('-b:a', this.options.compressionBitrate); // Bitrate
+      ffmpegArgs.push('-c:a', 'libopus'); // Opus codec
+      ffmpegArgs.push('-application', 'voip'); // Optimize for speech
+      ffmpegArgs.push('-f', 'ogg');
+    } else if (format === 'mp3') {
+      ffmpegArgs.push('-b:a', this.options.compressionBitrate); // Bitrate
+      ffmpegArgs.push('-c:a', 'libmp3lame'); // MP3 codec
+      ffmpegArgs.push('-f', 'mp3');
+    } else {
+      ffmpegArgs.push('-b:a', this.options.compressionBitrate); // Bitrate
+      ffmpegArgs.push('-f', format);
+    }
+
+    ffmpegArgs.push('pipe:1');
+
+    const ffmpeg = spawn('ffmpeg', ffmpegArgs, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const encoder = { process: ffmpeg, failed: false, done: null, raw };
+    const outputChunks = [];
+    let stderrOutput = '';
+
+    ffmpeg.stdout.on('data', (data) => {
+      outputChunks.push(data);
+    });
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderrOutput += data.toString();
+    });
+
+    // Writes after ffmpeg died surface here; the exit handler reports them
+    ffmpeg.stdin.on('error', () => {
+      encoder.failed = true;
+    });
 
+    encoder.done = new Promise((resolve, reject) => {
       ffmpeg.on('error', (error) => {
+        encoder.failed = true;
         console.error('❌ ffmpeg not found. Please install: sudo apt install ffmpeg');
         reject(new Error(`ffmpeg error: ${error.message}`));
       });
 
       ffmpeg.on('exit', (code) => {
         if (code === 0) {
-          try {
-            const originalSize = fs.statSync(inputPath).size;
-            const compressedSize = fs.statSync(outputPath).size;
-            const compressionRatio = ((1 - compressedSize / originalSize) * 100).toFixed(1);
-
-            console.log(`✅ Compressed: ${(originalSize / 1024).toFixed(1)}KB → ${(compressedSize / 1024).toFixed(1)}KB (${compressionRatio}% smaller)`);
-
-            const buffer = fs.readFileSync(outputPath);
-
-            // Cleanup compressed file
-            try {
-              fs.unlinkSync(outputPath);
-            } catch (error) {
-              console.error('⚠️ Failed to cleanup compressed file:', error.message);
-            }
-
-            resolve({
-              buffer,
-              format,
-              extension
-            });
-          } catch (error) {
-            reject(new Error(`Failed to read compressed file: ${error.message}`));
-          }
+          const output = Buffer.concat(outputChunks);
+          resolve({ buffer: raw ? this.buildWav(output) : output, format, extension });
         } else {
+          encoder.failed = true;
           console.error('❌ ffmpeg stderr:', stderrOutput);
           reject(new Error(`ffmpeg exited with code ${code}`));
         }
       });
     });
+
+    // Failure is handled when stopRecording awaits the result
+    encoder.done.catch(() => {});
+
+    return encoder;
+  }
+
+  /**
+   * Close the encoder input and wait for the compressed result
+   * @param {number} wavSize - Size of the equivalent WAV, for the ratio log
+   * @returns {Promise<{buffer: Buffer, format: string, extension: string}>}
+   * @private
+   */
+  async _finishEncoder(wavSize) {
+    const encoder = this.encoder;
+    this.encoder = null;
+
+    if (!encoder.failed) {
+      encoder.process.stdin.end();
+    }
+
+    const compressed = await encoder.done;
+    const compressedSize = compressed.buffer.length;
+
+    if (encoder.raw) {
+      console.log(`🎛️ Preprocessed: ${(wavSize / 1024).toFixed(1)}KB → ${(compressedSize / 1024).toFixed(1)}KB WAV`);
+      return compressed;
+    }
+
+    const compressionRatio = ((1 - compressedSize / wavSize) * 100).toFixed(1);
+
+    console.log(`✅ Compressed: ${(wavSize / 1024).toFixed(1)}KB → ${(compressedSize / 1024).toFixed(1)}KB (${compressionRatio}% smaller)`);
+
+    return compressed;
+  }
+
+  /**
+   * Build a canonical 44-byte PCM WAV header
+   * @param {number} dataLength - PCM payload size in bytes
+   * @param {number} sampleRate
+   * @param {number} channels
+   * @param {number} bitsPerSample
+   * @returns {Buffer}
+   */
+  static createWavHeader(dataLength, sampleRate, channels, bitsPerSample = 16) {
+    const blockAlign = channels * (bitsPerSample / 8);
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28); // Byte rate
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+  }
+
+  /**
+   * Drop a WAV header from the start of a capture stream. Some tools (pw-record
+   * via libsndfile) wrap stdout in a container even when raw samples are asked
+   * for; everything else passes through untouched.
+   * @param {Buffer} chunk - First chunk read from the capture process
+   * @returns {Buffer}
+   */
+  static stripWavHeader(chunk) {
+    if (chunk.length < 12 || chunk.toString('ascii', 0, 4) !== 'RIFF' || chunk.toString('ascii', 8, 12) !== 'WAVE') {
+      return chunk;
+    }
+
+    let offset = 12;
+    while (offset + 8 <= chunk.length) {
+      const chunkId = chunk.toString('ascii', offset, offset + 4);
+      if (chunkId === 'data') {
+        return chunk.slice(offset + 8);
+      }
+      offset += 8 + chunk.readUInt32LE(offset + 4);
+    }
+
+    return chunk;
+  }
+
+  /**
+   * Wrap raw S16_LE PCM in a WAV container
+   * @param {Buffer} pcm
+   * @returns {Buffer}
+   */
+  buildWav(pcm) {
+    const header = SimpleAudioRecorder.createWavHeader(pcm.length, this.options.sampleRate, this.options.channels);
+    return Buffer.concat([header, pcm]);
   }
 
   async stopRecording() {
@@ -167,116 +604,141 @@ class SimpleAudioRecorder extends EventEmitter {
       return null;
     }
 
-    return new Promise((resolve, reject) => {
-      console.log('🔴 Stopping recording...');
+    this._stopAutoStopMonitoring();
+    this.isPaused = false;
 
-      const cleanup = async (audioData) => {
-        this.isRecording = false;
-        this.recordingProcess = null;
+    console.log('🔴 Stopping recording...');
+    if (this.segments.length > 1) {
+      console.log(`🧩 Joining ${this.segments.length} segments`);
+    }
 
-        if (this.tempFile && fs.existsSync(this.tempFile)) {
-          try {
-            fs.unlinkSync(this.tempFile);
-          } catch (error) {
-            console.error('⚠️ Failed to cleanup temp file:', error.message);
-          }
-        }
+    // With pre-roll the microphone stays open; stop consuming and finalize now
+    if (this.preRollActive) {
+      this.isRecording = false;
+      return this._finishRecording();
+    }
 
-        this.emit('recordingStopped', audioData);
-        resolve(audioData);
-      };
-
-      // Gracefully terminate arecord
-      if (this.recordingProcess && !this.recordingProcess.killed) {
-        this.recordingProcess.on('exit', async () => {
-          // Read the recorded file
-          if (this.tempFile && fs.existsSync(this.tempFile)) {
-            try {
-              const wavData = fs.readFileSync(this.tempFile);
-              if (wavData.length <= 44) { // WAV header is 44 bytes
-                console.log('⚠️ Recording too short');
-                cleanup(null);
-                return;
-              }
-
-              // Compress audio if enabled
-              if (this.options.enableCompression) {
-                try {
-                  const compressed = await this.compressAudio(this.tempFile);
-                  // Attach metadata for providers to use correct content-type
-                  compressed.buffer._audioFormat = compressed.format;
-                  compressed.buffer._audioExtension = compressed.extension;
-                  cleanup(compressed.buffer);
-                } catch (error) {
-                  console.error('⚠️ Compression failed, using original WAV:', error.message);
-                  cleanup(wavData);
-                }
-              } else {
-                cleanup(wavData);
-              }
-            } catch (error) {
-              console.error('❌ Failed to read recorded file:', error);
-              cleanup(null);
-            }
-          } else {
-            console.log('⚠️ No recorded file found');
-            cleanup(null);
-          }
+    return new Promise((resolve) => {
+      // Gracefully terminate the capture process
+      if (!this.recordingProcess.killed) {
+        this.recordingProcess.once('close', () => {
+          this.isRecording = false;
+          this.recordingProcess = null;
+          resolve(this._finishRecording());
         });
 
-        // Send SIGTERM to arecord
+        // SIGTERM lets every backend flush what it has captured
         this.recordingProcess.kill('SIGTERM');
 
       } else {
-        cleanup(null);
+        this.isRecording = false;
+        this.recordingProcess = null;
+        resolve(this._finishRecording());
       }
     });
   }
 
-  cleanup() {
-    if (this.recordingProcess && !this.recordingProcess.killed) {
+  /**
+   * Turn the captured PCM into the final buffer (compressed when enabled)
+   * @returns {Promise<Buffer|null>}
+   * @private
+   */
+  async _finishRecording() {
+    const pcm = Buffer.concat(this.pcmChunks);
+    let audioData = null;
+
+    if (pcm.length === 0) {
+      console.log('⚠️ Recording too short');
+      this._killEncoder();
+    } else {
+      const wavData = this.buildWav(pcm);
+      audioData = wavData;
+
+      // Compressed/preprocessed output is already being produced by the streaming encoder
+      if (this.encoder) {
+        try {
+          const compressed = await this._finishEncoder(wavData.length);
+          // Attach metadata for providers to use correct content-type
+          compressed.buffer._audioFormat = compressed.format;
+          compressed.buffer._audioExtension = compressed.extension;
+          audioData = compressed.buffer;
+        } catch (error) {
+          console.error('⚠️ Encoding failed, using original WAV:', error.message);
+        }
+      }
+    }
+
+    this._releaseLevelMeter();
+    this.pcmChunks = [];
+
+    this.emit('recordingStopped', audioData);
+    return audioData;
+  }
+
+  /**
+   * Keep the final statistics and detach the meter
+   * @private
+   */
+  _releaseLevelMeter() {
+    if (this.levelMeter) {
+      this.lastLevelStats = this.levelMeter.getStats();
+      this.levelMeter.removeAllListeners();
+      this.levelMeter = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _killEncoder() {
+    if (this.encoder && !this.encoder.process.killed) {
       try {
-        this.recordingProcess.kill('SIGKILL');
+        this.encoder.process.kill('SIGKILL');
       } catch (error) {
         // Process might already be dead
       }
     }
-    
-    if (this.tempFile && fs.existsSync(this.tempFile)) {
+    this.encoder = null;
+  }
+
+  cleanup() {
+    this._stopAutoStopMonitoring();
+
+    // An idle pre-roll capture outlives each session; only stopPreRoll() ends it
+    const keepCapture = this.preRollActive && !this.isRecording;
+
+    if (!keepCapture && this.recordingProcess && !this.recordingProcess.killed) {
       try {
-        fs.unlinkSync(this.tempFile);
+        this.recordingProcess.kill('SIGKILL');
       } catch (error) {
-        // File might already be deleted
+        // Process might already be dead
       }
     }
-    
+
+    this._killEncoder();
+    this._releaseLevelMeter();
+
     this.isRecording = false;
-    this.recordingProcess = null;
-    this.tempFile = null;
+    this.isPaused = false;
+    if (!keepCapture) {
+      this.recordingProcess = null;
+    }
+    this.pcmChunks = [];
   }
 
   // Static methods for compatibility
   static async getDefaultMicrophone() {
-    // Return default ALSA device
-    return 'default';
+    const microphone = await new MicrophoneManager().selectMicrophone();
+    return microphone.device;
   }
 
-  static async checkMicrophoneAccess() {
-    return new Promise((resolve) => {
-      // Test if arecord is available
-      const testProcess = spawn('which', ['arecord'], {
-        stdio: 'ignore'
-      });
-
-      testProcess.on('close', (code) => {
-        resolve(code === 0);
-      });
+  static async listMicrophones() {
+    return new MicrophoneManager().listMicrophones();
+  }
 
-      testProcess.on('error', () => {
-        resolve(false);
-      });
-    });
+  static async checkMicrophoneAccess() {
+    return RecordingBackendFactory.getInstalledBackends().length > 0;
   }
 }
 
-module.exports = SimpleAudioRecorder;
\ No newline at end of file
+module.exports = SimpleAudioRecorder;
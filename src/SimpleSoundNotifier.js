@@ -1,5 +1,7 @@
 const { spawn } = require('child_process');
+const fs = require('fs');
 const path = require('path');
+const SimpleAudioRecorder = require('./SimpleAudioRecorder');
 
 class SimpleSoundNotifier {
   constructor(options = {}) {
@@ -9,10 +11,52 @@ class SimpleSoundNotifier {
       startSound: path.join(__dirname, '..', 'notification.mp3'),
       endSound: path.join(__dirname, '..', 'end-recording.wav'),
       errorSound: path.join(__dirname, '..', 'error.wav'),
+      // Pause/resume chirps are generated on first use unless overridden
+      pauseSound: null,
+      resumeSound: null,
+      generatedSoundDir: path.join(__dirname, '..', 'var', 'sounds'),
       ...options
     };
   }
 
+  /**
+   * Write a short two-note chirp as a 16kHz mono WAV, once.
+   * Falling notes mean "pause", rising notes mean "resume", so they cannot be
+   * confused with the start/end recording sounds.
+   * @param {string} fileName - File name inside generatedSoundDir
+   * @param {number[]} frequencies - Note frequencies in Hz, played in order
+   * @returns {string} Path to the WAV file
+   * @private
+   */
+  _ensureToneFile(fileName, frequencies) {
+    const filePath = path.join(this.options.generatedSoundDir, fileName);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+
+    const sampleRate = 16000;
+    const noteSamples = Math.round(sampleRate * 0.09);
+    const gapSamples = Math.round(sampleRate * 0.04);
+    const totalSamples = frequencies.length * (noteSamples + gapSamples);
+    const data = Buffer.alloc(totalSamples * 2);
+
+    frequencies.forEach((frequency, noteIndex) => {
+      const offset = noteIndex * (noteSamples + gapSamples);
+      for (let i = 0; i < noteSamples; i++) {
+        // Short linear fade in/out avoids clicks
+        const envelope = Math.min(1, i / 160, (noteSamples - i) / 160);
+        const sample = Math.sin(2 * Math.PI * frequency * i / sampleRate) * 0.4 * envelope;
+        data.writeInt16LE(Math.round(sample * 32767), (offset + i) * 2);
+      }
+    });
+
+    const header = SimpleAudioRecorder.createWavHeader(data.length, sampleRate, 1);
+
+    fs.mkdirSync(this.options.generatedSoundDir, { recursive: true });
+    fs.writeFileSync(filePath, Buffer.concat([header, data]));
+    return filePath;
+  }
+
   async initialize() {
     if (!this.options.enabled) {
       console.log('[SimpleSoundNotifier] Sound notifications disabled');
@@ -86,6 +130,16 @@ class SimpleSoundNotifier {
     await this.playSound(this.options.errorSound);
   }
 
+  async playPause() {
+    if (!this.options.enabled) return;
+    await this.playSound(this.options.pauseSound || this._ensureToneFile('pause.wav', [880, 587]));
+  }
+
+  async playResume() {
+    if (!this.options.enabled) return;
+    await this.playSound(this.options.resumeSound || this._ensureToneFile('resume.wav', [587, 880]));
+  }
+
   cleanup() {
     // No cleanup needed for simple sound
   }
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const VocabularyEngine = require('./VocabularyEngine');
+
+// How a symbol sits between words, derived from the symbol itself so a
+// user-defined command needs no extra settings
+const ATTACH_LEFT = /^[,.;:!?…)\]}»”]+$/u; // "word," / "word)"
+const ATTACH_RIGHT = /^[(\[{«“]+$/u; // "(word"
+const PUNCTUATION = /^[,.;:!?…]+$/u; // Replaces punctuation the provider added itself
+
+/**
+ * Spoken punctuation and formatting commands ("запятая" -> ",",
+ * "new paragraph" -> blank line), applied after vocabulary fixes.
+ *
+ * The built-in Russian and English table can be extended or trimmed with
+ * punctuation.json:
+ *   { "commands": { "собака": "@" }, "disabled": ["точка"], "replaceDefaults": false }
+ *
+ * Spacing follows the symbol: , . ? ) attach to the word before, ( « to the
+ * word after, line breaks swallow spaces, anything else gets a space on both
+ * sides. A sentence end or line break capitalises the next word.
+ *
+ * Some command words are ordinary words too ("точка зрения", "trial period",
+ * "a dash of salt"). These AMBIGUOUS phrases (plus punctuation.json
+ * "ambiguous") only count in a command position: at the end, before
+ * punctuation the provider put at the pause, before another command or
+ * before a capitalised word.
+ */
+class SpokenPunctuation {
+  constructor(options = {}) {
+    const table = options.table || {};
+
+    const commands = table.replaceDefaults
+      ? {}
+      : { ...SpokenPunctuation.DEFAULT_COMMANDS.ru, ...SpokenPunctuation.DEFAULT_COMMANDS.en };
+    Object.assign(commands, table.commands || {});
+
+    this.ambiguous = new Set([...SpokenPunctuation.AMBIGUOUS, ...(table.ambiguous || [])]
+      .map(phrase => VocabularyEngine.normalize(phrase)));
+
+    for (const phrase of table.disabled || []) {
+      delete commands[VocabularyEngine.normalize(phrase)];
+    }
+
+    this.commands = new Map(Object.entries(commands)
+      .filter(([phrase, symbol]) => phrase.trim() && typeof symbol === 'string' && symbol)
+      .map(([phrase, symbol]) => [VocabularyEngine.normalize(phrase), symbol]));
+
+    // Longest first: "точка с запятой" before "точка"
+    const sources = [...this.commands.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(VocabularyEngine.literalSource);
+    this.regex = sources.length > 0 ? new RegExp(VocabularyEngine.wholeWord(sources), 'giu') : null;
+    this.leadingRegex = sources.length > 0 ? new RegExp(`^${VocabularyEngine.wholeWord(sources)}`, 'iu') : null;
+  }
+
+  // Everyday words that are commands only in a command position
+  static AMBIGUOUS = [
+    'точка',
+    'тире',
+    'period',
+    'colon',
+    'dash',
+    'ellipsis',
+    'new line',
+    'newline'
+  ];
+
+  static DEFAULT_COMMANDS = {
+    ru: {
+      'запятая': ',',
+      'точка': '.',
+      'точка с запятой': ';',
+      'двоеточие': ':',
+      'вопросительный знак': '?',
+      'восклицательный знак': '!',
+      'многоточие': '…',
+      'тире': '—',
+      'новая строка': '\n',
+      'с новой строки': '\n',
+      'новый абзац': '\n\n',
+      'открыть скобку': '(',
+      'открой скобку': '(',
+      'закрыть скобку': ')',
+      'закрой скобку': ')',
+      'открыть кавычки': '«',
+      'открой кавычки': '«',
+      'закрыть кавычки': '»',
+      'закрой кавычки': '»'
+    },
+    en: {
+      'comma': ',',
+      'period': '.',
+      'full stop': '.',
+      'semicolon': ';',
+      'colon': ':',
+      'question mark': '?',
+      'exclamation mark': '!',
+      'exclamation point': '!',
+      'ellipsis': '…',
+      'dash': '—',
+      'new line': '\n',
+      'newline': '\n',
+      'new paragraph': '\n\n',
+      'open paren': '(',
+      'open parenthesis': '(',
+      'close paren': ')',
+      'close parenthesis': ')',
+      'open bracket': '[',
+      'close bracket': ']',
+      'open quote': '“',
+      'close quote': '”'
+    }
+  };
+
+  /**
+   * Build from punctuation.json, or the defaults if it does not exist
+   * @param {string} filePath
+   * @returns {SpokenPunctuation}
+   */
+  static load(filePath) {
+    const table = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    return new SpokenPunctuation({ table });
+  }
+
+  /**
+   * Replace spoken commands in a transcription
+   * @param {string} text
+   * @returns {{text: string, count: number}}
+   */
+  apply(text) {
+    if (!text || !this.regex) {
+      return { text, count: 0 };
+    }
+
+    let output = '';
+    let position = 0;
+    let count = 0;
+    let capitalizeNext = false;
+
+    const append = (chunk) => {
+      if (capitalizeNext && /\p{L}/u.test(chunk)) {
+        chunk = chunk.replace(/\p{L}/u, letter => letter.toLocaleUpperCase());
+        capitalizeNext = false;
+      }
+      output += chunk;
+    };
+
+    for (const match of text.matchAll(this.regex)) {
+      const phrase = VocabularyEngine.normalize(match[0]);
+      if (this.ambiguous.has(phrase) && !this._isCommandPosition(text.slice(match.index + match[0].length))) {
+        continue;
+      }
+
+      append(text.slice(position, match.index));
+      const symbol = this.commands.get(phrase);
+
+      if (symbol.includes('\n')) {
+        output = output.replace(/[ \t]+$/, '') + symbol;
+      } else if (ATTACH_LEFT.test(symbol)) {
+        // The spoken mark wins over whatever punctuation the provider put there
+        output = (PUNCTUATION.test(symbol) ? output.replace(/[\s,.;:!?…]+$/u, '') : output.trimEnd()) + symbol;
+      } else {
+        // Opening marks and anything else start a new word
+        output = output.trimEnd() + (output ? ' ' : '') + symbol;
+      }
+
+      // Drop the provider's own punctuation and spacing after the command word
+      const rest = text.slice(match.index + match[0].length);
+      const skipped = rest.match(/^[,.;:!?…]*\s*/u)[0];
+      position = match.index + match[0].length + skipped.length;
+
+      const next = text.slice(position);
+      const attachesNext = ATTACH_RIGHT.test(symbol) || symbol.includes('\n');
+      if (!attachesNext && next && !/^[,.;:!?…)\]}»”]/u.test(next)) {
+        output += ' ';
+      }
+
+      if (/[.!?]$/u.test(symbol) || symbol.includes('\n')) {
+        capitalizeNext = true;
+      }
+      count++;
+    }
+
+    append(text.slice(position));
+
+    return { text: output.trim(), count };
+  }
+
+  /**
+   * Is an ambiguous command word followed by a pause or another command?
+   * @param {string} rest - Text after the word
+   * @private
+   */
+  _isCommandPosition(rest) {
+    const next = rest.trimStart();
+    return next === '' ||
+      /^[,.;:!?…]/u.test(next) ||
+      /^\p{Lu}/u.test(next) ||
+      this.leadingRegex.test(next);
+  }
+}
+
+module.exports = SpokenPunctuation;
@@ -0,0 +1,320 @@
+const fs = require('fs');
+
+// Letters, combining marks, digits and _ in any script. JavaScript's \b only
+// knows [A-Za-z0-9_], so it never sees a boundary around Cyrillic words.
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+const WORD_START = `(?<!${WORD_CHAR})`;
+const WORD_END = `(?!${WORD_CHAR})`;
+
+const LANGUAGE_NAMES = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Rule engine behind vocabulary.json
+ * Compiles every rule once, then fixes transcriptions in two stages:
+ * 1. "rules" - ordered list, each applied in turn; literal ("match") or
+ *    regex ("regex", $1/$<name> in the replacement)
+ * 2. "replacements" - literal map applied in a single pass, longest pattern
+ *    first, so "докер компоуз" wins over "докер" and a replacement is never
+ *    replaced again
+ *
+ * Both stages match whole words with Unicode-aware boundaries and
+ * case-insensitively. A lowercase replacement follows the case of what was
+ * heard ("Коммит" -> "Commit", "АПИ" -> "API"); one with capitals ("Kubernetes")
+ * is canonical and kept as written.
+ *
+ * "languages": { "ru": { replacements, rules, terms } } adds rules for one
+ * language. They apply when the transcription's language is known to match,
+ * or when it is unknown.
+ */
+class VocabularyEngine {
+  /**
+   * @param {Object} vocabulary - Parsed vocabulary.json
+   */
+  constructor(vocabulary = {}) {
+    this.vocabulary = vocabulary;
+    this.sections = []; // { language, rules, replacements, terms }
+
+    this._addSection(null, '', vocabulary);
+    for (const [language, section] of Object.entries(vocabulary.languages || {})) {
+      this._addSection(language.toLowerCase(), `languages.${language}.`, section || {});
+    }
+
+    // language (or '*' for unknown) -> compiled replacements pass
+    this.passes = new Map();
+    this._replacementsPass(null);
+    for (const section of this.sections.slice(1)) {
+      this._replacementsPass(section.language);
+    }
+  }
+
+  /**
+   * Regex source that matches any of the given sources as a whole word.
+   * Callers sort the sources; alternation takes the first that matches.
+   * @param {string[]} sources
+   * @returns {string}
+   */
+  static wholeWord(sources) {
+    return `${WORD_START}(?:${sources.join('|')})${WORD_END}`;
+  }
+
+  /**
+   * Load and compile a vocabulary file
+   * @param {string} filePath
+   * @returns {VocabularyEngine|null} null if the file is missing
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return new VocabularyEngine(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  /**
+   * Escape special regex characters in a string
+   * @param {string} string - String to escape
+   * @returns {string} - Escaped string
+   */
+  static escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Literal pattern as regex source: escaped, any run of spaces between words
+   */
+  static literalSource(pattern) {
+    return pattern.trim().split(/\s+/).map(VocabularyEngine.escapeRegex).join('\\s+');
+  }
+
+  /**
+   * Key that every spelling of a literal pattern maps to
+   */
+  static normalize(text) {
+    return text.toLocaleLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Give a lowercase replacement the case of the text it replaces
+   * @param {string} matched - Text as transcribed
+   * @param {string} replacement
+   * @returns {string}
+   */
+  static adaptCase(matched, replacement) {
+    if (replacement !== replacement.toLocaleLowerCase()) {
+      return replacement; // Has capitals: canonical spelling
+    }
+
+    const letters = matched.replace(/[^\p{L}]/gu, '');
+    if (letters.length > 1 && letters === letters.toLocaleUpperCase() && letters !== letters.toLocaleLowerCase()) {
+      return replacement.toLocaleUpperCase();
+    }
+    if (letters && letters[0] !== letters[0].toLocaleLowerCase()) {
+      return replacement.charAt(0).toLocaleUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+  }
+
+  /**
+   * Fill $1, $<name>, $& and $$ in a regex rule's replacement
+   * @private
+   */
+  static _expand(template, match, groups, namedGroups) {
+    return template.replace(/\$(\$|&|<([^>]+)>|(\d{1,2}))/g, (token, kind, name, index) => {
+      if (kind === '$') return '$';
+      if (kind === '&') return match;
+      if (name !== undefined) return namedGroups?.[name] ?? '';
+      return groups[Number(index) - 1] ?? '';
+    });
+  }
+
+  /**
+   * Compile one top-level or language section
+   * @private
+   */
+  _addSection(language, prefix, section) {
+    const rules = [];
+
+    (Array.isArray(section.rules) ? section.rules : []).forEach((rule, index) => {
+      const source = `${prefix}rules[${index}]`;
+      try {
+        rules.push(this._compileRule(rule, source));
+      } catch (error) {
+        console.warn(`[VocabularyEngine] Skipping ${source}: ${error.message}`);
+      }
+    });
+
+    const replacements = Object.entries(section.replacements || {})
+      .filter(([pattern, replacement]) => pattern.trim() && typeof replacement === 'string')
+      .map(([pattern, replacement]) => ({ pattern, replacement, source: `${prefix}replacements` }));
+
+    this.sections.push({
+      language,
+      rules,
+      replacements,
+      terms: Array.isArray(section.terms) ? section.terms : []
+    });
+  }
+
+  /**
+   * @private
+   */
+  _compileRule(rule, source) {
+    if (!rule || typeof rule.replacement !== 'string' || (!rule.regex && !rule.match)) {
+      throw new Error('needs "match" or "regex", and "replacement"');
+    }
+
+    const wholeWord = rule.wholeWord !== false;
+    const flags = rule.caseSensitive ? 'gu' : 'giu';
+
+    if (rule.regex) {
+      // Alone first: an unbalanced "[" or "(" would otherwise swallow the boundary wrapper
+      new RegExp(rule.regex, flags);
+    }
+
+    const body = rule.regex ? `(?:${rule.regex})` : `(?:${VocabularyEngine.literalSource(rule.match)})`;
+
+    return {
+      source,
+      pattern: rule.regex || rule.match,
+      isRegex: Boolean(rule.regex),
+      replacement: rule.replacement,
+      regex: new RegExp(wholeWord ? `${WORD_START}${body}${WORD_END}` : body, flags)
+    };
+  }
+
+  /**
+   * Sections that apply to a language
+   * @param {string|null} language - ISO code ("ru", "en-US") or name ("russian"); null = unknown
+   * @private
+   */
+  _sectionsFor(language) {
+    return this.sections.filter(section =>
+      section.language === null || !language || VocabularyEngine.matchesLanguage(section.language, language)
+    );
+  }
+
+  /**
+   * Does a section key ("ru") name the reported language ("ru-RU", "russian")?
+   */
+  static matchesLanguage(sectionLanguage, language) {
+    const reported = language.toLowerCase();
+    if (reported === sectionLanguage || reported.split(/[-_]/)[0] === sectionLanguage) {
+      return true;
+    }
+
+    // Whisper's verbose_json reports full English names
+    try {
+      const name = LANGUAGE_NAMES.of(sectionLanguage);
+      return Boolean(name) && name.toLowerCase() === reported;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Single-pass matcher over every literal replacement for a language.
+   * Built in the constructor for each section; other spellings of a
+   * language ("russian") are cached on first use.
+   * @private
+   */
+  _replacementsPass(language) {
+    const key = language ? language.toLowerCase() : '*';
+    if (this.passes.has(key)) {
+      return this.passes.get(key);
+    }
+
+    // Language entries come later and override top-level ones with the same pattern
+    const lookup = new Map();
+    for (const section of this._sectionsFor(language)) {
+      for (const entry of section.replacements) {
+        lookup.set(VocabularyEngine.normalize(entry.pattern), entry);
+      }
+    }
+
+    let pass = null;
+    if (lookup.size > 0) {
+      // Alternation tries left to right: longest first makes the longest match win
+      const sources = [...lookup.values()]
+        .sort((a, b) => b.pattern.trim().length - a.pattern.trim().length)
+        .map(entry => VocabularyEngine.literalSource(entry.pattern));
+      pass = { lookup, regex: new RegExp(VocabularyEngine.wholeWord(sources), 'giu') };
+    }
+
+    this.passes.set(key, pass);
+    return pass;
+  }
+
+  /**
+   * Fix a transcription
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string|null} [options.language] - Transcription language, if known
+   * @returns {{text: string, fired: Array<{source: string, pattern: string, from: string, to: string}>}}
+   *   fired lists every replacement made, in order
+   */
+  apply(text, options = {}) {
+    const fired = [];
+    if (!text) {
+      return { text, fired };
+    }
+
+    const language = options.language || null;
+    let result = text;
+
+    for (const section of this._sectionsFor(language)) {
+      for (const rule of section.rules) {
+        result = result.replace(rule.regex, (match, ...args) => {
+          const named = typeof args[args.length - 1] === 'object' ? args.pop() : undefined;
+          const groups = args.slice(0, -2);
+          const expanded = rule.isRegex
+            ? VocabularyEngine._expand(rule.replacement, match, groups, named)
+            : rule.replacement;
+          const to = VocabularyEngine.adaptCase(match, expanded);
+          fired.push({ source: rule.source, pattern: rule.pattern, from: match, to });
+          return to;
+        });
+      }
+    }
+
+    const pass = this._replacementsPass(language);
+    if (pass) {
+      result = result.replace(pass.regex, (match) => {
+        const entry = pass.lookup.get(VocabularyEngine.normalize(match));
+        const to = VocabularyEngine.adaptCase(match, entry.replacement);
+        fired.push({ source: entry.source, pattern: entry.pattern, from: match, to });
+        return to;
+      });
+    }
+
+    return { text: result, fired };
+  }
+
+  /**
+   * Terms to bias the recognizer towards: every "terms" list plus every
+   * literal replacement target, so "кубернетес" -> "Kubernetes" also teaches
+   * the provider to hear "Kubernetes" in the first place
+   * @returns {string[]} Unique terms, "terms" first
+   */
+  getTerms() {
+    const terms = [
+      ...this.sections.flatMap(section => section.terms),
+      ...this.sections.flatMap(section => section.replacements.map(entry => entry.replacement)),
+      ...this.sections.flatMap(section => section.rules.filter(rule => !rule.isRegex).map(rule => rule.replacement))
+    ];
+
+    return [...new Set(terms.map(term => String(term).trim()).filter(Boolean))];
+  }
+
+  /**
+   * @returns {{replacements: number, rules: number, terms: number, languages: number}}
+   */
+  getStats() {
+    return {
+      replacements: this.sections.reduce((sum, section) => sum + section.replacements.length, 0),
+      rules: this.sections.reduce((sum, section) => sum + section.rules.length, 0),
+      terms: this.sections.reduce((sum, section) => sum + section.terms.length, 0),
+      languages: this.sections.length - 1
+    };
+  }
+}
+
+module.exports = VocabularyEngine;
@@ -1,39 +1,101 @@
 const SimpleAudioRecorder = require('./SimpleAudioRecorder');
 const ProviderFactory = require('./providers/ProviderFactory');
+const TranscriptionProvider = require('./providers/TranscriptionProvider');
 const ClipboardManager = require('./ClipboardManager');
 const SimpleSoundNotifier = require('./SimpleSoundNotifier');
 const AudioFileProcessor = require('./AudioFileProcessor');
+const AudioPreprocessor = require('./AudioPreprocessor');
+const MicrophoneManager = require('./MicrophoneManager');
+const RecordingJournal = require('./RecordingJournal');
+const VocabularyEngine = require('./VocabularyEngine');
+const SpokenPunctuation = require('./SpokenPunctuation');
+const EditingCommands = require('./EditingCommands');
+const TranscriptCleaner = require('./TranscriptCleaner');
 const { createLogger } = require('./LogManager');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 
 class VoiceInputApp {
   constructor(config = {}) {
     this.config = {
-      recordingTimeoutMs: config.recordingTimeoutMs || 5000,
+      // Hard cap on a single recording so a forgotten session cannot run all day
+      recordingTimeoutMs: config.recordingTimeoutMs ||
+        (process.env.MAX_RECORDING_MS ? parseInt(process.env.MAX_RECORDING_MS) : 30 * 60 * 1000),
       typingDelay: config.typingDelay || 100,
       maxBackupRecordings: config.maxBackupRecordings || 5,
       deleteBackupAfterSuccess: config.deleteBackupAfterSuccess !== undefined
         ? config.deleteBackupAfterSuccess
         : (process.env.DELETE_BACKUP_AFTER_SUCCESS !== 'false'), // Default: true, unless explicitly set to 'false'
       transcriptionProvider: config.transcriptionProvider || process.env.TRANSCRIPTION_PROVIDER,
+      // Push-to-talk presses shorter than this are treated as accidental taps
+      pushToTalkMinHoldMs: config.pushToTalkMinHoldMs ||
+        (process.env.PUSH_TO_TALK_MIN_HOLD_MS ? parseInt(process.env.PUSH_TO_TALK_MIN_HOLD_MS) : 300),
+      // Send vocabulary terms to the provider as a prompt / hotwords, not just fix them afterwards
+      vocabularyPrompt: config.vocabularyPrompt ?? (process.env.VOCABULARY_PROMPT !== 'false'), // Default: true
+      // Language for vocabulary "languages" sections when the provider does not report one
+      vocabularyLanguage: config.vocabularyLanguage || process.env.VOCABULARY_LANGUAGE || null,
+      // "запятая" -> ",", "new line" -> line break; config.json "spokenPunctuation" (tray toggle) overrides it
+      spokenPunctuation: config.spokenPunctuation ?? (process.env.SPOKEN_PUNCTUATION === 'true'), // Default: false
+      // "Scratch that" / "replace X with Y" edit the dictation instead of being typed
+      editingCommands: config.editingCommands ?? (process.env.EDITING_COMMANDS !== 'false'), // Default: true
+      // Ask for segments, language and confidence; Nexara then sends verbose_json with timestamps
+      transcriptionDetails: config.transcriptionDetails ?? (process.env.TRANSCRIPTION_DETAILS === 'true'), // Default: false
+      // Warn when the provider's confidence (if it reports one) is below this, 0 = off
+      lowConfidenceThreshold: config.lowConfidenceThreshold ??
+        (process.env.LOW_CONFIDENCE_THRESHOLD ? parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) : 0.5),
       ...config
     };
 
     // Lazy loading: Don't create transcription provider until needed
     // This saves ~50-100ms on startup
     this.transcriber = null;
+    // Segments, language and confidence of the last transcription (TRANSCRIPTION_DETAILS=true)
+    this.lastTranscriptionResult = null;
+    // When the hotkey, key release or auto-stop asked the current recording to stop
+    this.lastStopRequestedAt = null;
 
     // Audio compression settings from environment
     const enableCompression = process.env.ENABLE_COMPRESSION !== 'false'; // Default: true
     const compressionFormat = process.env.COMPRESSION_FORMAT || 'opus';
     const compressionBitrate = process.env.COMPRESSION_BITRATE || '32k';
 
+    // Guard against paying to transcribe a muted or badly clipping microphone
+    this.levelGuard = {
+      enabled: process.env.SILENT_RECORDING_GUARD !== 'false', // Default: true
+      silentThreshold: process.env.SILENT_RECORDING_THRESHOLD ? parseFloat(process.env.SILENT_RECORDING_THRESHOLD) : 0.003,
+      maxClippedRatio: process.env.CLIPPED_RECORDING_RATIO ? parseFloat(process.env.CLIPPED_RECORDING_RATIO) : 0.05
+    };
+
+    // Filters applied before upload, shared by microphone and file input
+    this.audioPreprocessor = AudioPreprocessor.fromEnv(process.env);
+
+    // Mirrors the recording to var/recordings/in-progress/ so a crash can be recovered
+    this.recordingJournal = new RecordingJournal({
+      segmentMs: process.env.RECORDING_SEGMENT_MS ? parseInt(process.env.RECORDING_SEGMENT_MS) : undefined
+    });
+    // What to do with journals left by a crash: ask (default), auto or off
+    this.recoverUnfinished = process.env.RECOVER_UNFINISHED || 'ask';
+
+    // Hands-free mode: stop automatically after a pause that follows speech
+    this.autoStopOnSilence = process.env.AUTO_STOP_ON_SILENCE === 'true'; // Default: false
+
     this.audioRecorder = new SimpleAudioRecorder({
       device: 'default',
+      backend: process.env.RECORDING_BACKEND || 'auto',
       enableCompression,
       compressionFormat,
-      compressionBitrate
+      compressionBitrate,
+      autoStopOnSilence: this.autoStopOnSilence,
+      silenceDurationMs: process.env.AUTO_STOP_SILENCE_MS ? parseInt(process.env.AUTO_STOP_SILENCE_MS) : undefined,
+      silenceThreshold: process.env.AUTO_STOP_SILENCE_THRESHOLD ? parseFloat(process.env.AUTO_STOP_SILENCE_THRESHOLD) : undefined,
+      maxDurationMs: this.config.recordingTimeoutMs,
+      // Daemon mode only: keep the last N ms before the hotkey (see startPreRoll)
+      preRollMs: process.env.PREROLL_ENABLED === 'true'
+        ? (process.env.PREROLL_MS ? parseInt(process.env.PREROLL_MS) : 500)
+        : 0,
+      preprocessor: this.audioPreprocessor,
+      journal: this.recordingJournal
     });
 
     this.clipboardManager = new ClipboardManager();
@@ -50,9 +112,11 @@ class VoiceInputApp {
     this.backupDir = path.join(__dirname, '../var/recordings');
     this.configFilePath = path.join(__dirname, '../config.json');
     this.vocabularyFilePath = path.join(__dirname, '../vocabulary.json');
+    this.punctuationFilePath = path.join(__dirname, '../punctuation.json');
     this.audioFileProcessor = new AudioFileProcessor({
       compressionFormat,
-      compressionBitrate
+      compressionBitrate,
+      preprocessor: this.audioPreprocessor
     });
 
     // Load UI settings from config.json
@@ -60,6 +124,16 @@ class VoiceInputApp {
 
     // Load custom vocabulary for post-processing
     this.vocabulary = this.loadVocabulary();
+
+    // Spoken punctuation commands (built-in table + punctuation.json)
+    this.spokenPunctuation = this.loadSpokenPunctuation();
+
+    // Voice editing commands; ones that start a recording edit the notebook buffer
+    this.editingCommands = new EditingCommands();
+    this.carriedEditingCommands = [];
+
+    // Optional LLM cleanup (LLM_CLEANUP_BASE_URL), null when not configured
+    this.transcriptCleaner = this.loadTranscriptCleaner();
   }
 
   generateSessionId() {
@@ -94,16 +168,17 @@ class VoiceInputApp {
 
   /**
    * Load custom vocabulary from vocabulary.json for post-processing
-   * @returns {Object|null} Vocabulary object with replacements or null
+   * @returns {VocabularyEngine|null} Compiled rules, or null if there are none
    */
   loadVocabulary() {
     try {
-      if (fs.existsSync(this.vocabularyFilePath)) {
-        const vocabData = fs.readFileSync(this.vocabularyFilePath, 'utf8');
-        const vocab = JSON.parse(vocabData);
-        if (vocab.replacements && Object.keys(vocab.replacements).length > 0) {
-          console.log(`📖 Loaded vocabulary: ${Object.keys(vocab.replacements).length} replacements`);
-          return vocab;
+      const vocabulary = VocabularyEngine.load(this.vocabularyFilePath);
+      if (vocabulary) {
+        const stats = vocabulary.getStats();
+        if (stats.replacements > 0 || stats.rules > 0 || stats.terms > 0) {
+          const languages = stats.languages > 0 ? `, ${stats.languages} language section(s)` : '';
+          console.log(`📖 Loaded vocabulary: ${stats.replacements} replacements, ${stats.rules} rules, ${stats.terms} terms${languages}`);
+          return vocabulary;
         }
       }
     } catch (error) {
@@ -113,43 +188,166 @@ class VoiceInputApp {
   }
 
   /**
-   * Apply vocabulary replacements to transcription text
-   * Case-insensitive matching, preserves original case boundaries
+   * Load the spoken punctuation table (defaults merged with punctuation.json)
+   * @returns {SpokenPunctuation}
+   */
+  loadSpokenPunctuation() {
+    try {
+      const punctuation = SpokenPunctuation.load(this.punctuationFilePath);
+      if (fs.existsSync(this.punctuationFilePath)) {
+        console.log(`🔣 Loaded punctuation commands: ${punctuation.commands.size} phrases`);
+      }
+      return punctuation;
+    } catch (error) {
+      console.error('[VoiceInputApp] Failed to load punctuation.json, using defaults:', error.message);
+      return new SpokenPunctuation();
+    }
+  }
+
+  /**
+   * Re-read vocabulary.json and punctuation.json (after `voice-input correct`
+   * or a hand edit) and pass the new terms to an already loaded provider
+   */
+  reloadVocabulary() {
+    this.vocabulary = this.loadVocabulary();
+    this.spokenPunctuation = this.loadSpokenPunctuation();
+
+    if (this.transcriber && this.config.vocabularyPrompt) {
+      this.transcriber.setVocabulary(this.getVocabularyTerms());
+    }
+
+    console.log('🔄 Vocabulary reloaded');
+  }
+
+  /**
+   * Terms to bias the recognizer towards (see VocabularyEngine.getTerms())
+   * @returns {string[]}
+   */
+  getVocabularyTerms() {
+    return this.vocabulary ? this.vocabulary.getTerms() : [];
+  }
+
+  /**
+   * Apply vocabulary rules to transcription text
    * @param {string} text - Transcription text
+   * @param {string|null} [language] - Transcription language; VOCABULARY_LANGUAGE overrides it
    * @returns {string} - Text with replacements applied
    */
-  applyVocabulary(text) {
-    if (!this.vocabulary || !this.vocabulary.replacements || !text) {
+  applyVocabulary(text, language = null) {
+    if (!this.vocabulary || !text) {
+      return text;
+    }
+
+    const result = this.vocabulary.apply(text, { language: this.config.vocabularyLanguage || language });
+
+    if (result.fired.length > 0) {
+      console.log(`📖 Applied ${result.fired.length} vocabulary replacements`);
+    }
+
+    return result.text;
+  }
+
+  /**
+   * Turn spoken punctuation commands into symbols, unless switched off
+   * in config.json (tray "Spoken Punctuation")
+   * @param {string} text - Transcription text after vocabulary fixes
+   * @returns {string}
+   */
+  applySpokenPunctuation(text) {
+    this.uiConfig = this.loadUIConfig();
+    const enabled = this.uiConfig.spokenPunctuation ?? this.config.spokenPunctuation;
+    if (!enabled || !text) {
+      return text;
+    }
+
+    const result = this.spokenPunctuation.apply(text);
+
+    if (result.count > 0) {
+      console.log(`🔣 Applied ${result.count} punctuation commands`);
+    }
+
+    return result.text;
+  }
+
+  /**
+   * Carry out "scratch that" / "replace X with Y" within the transcription.
+   * Commands with nothing before them are kept in carriedEditingCommands
+   * for copyTranscriptionToClipboard() to apply to the notebook buffer.
+   * @param {string} text - Transcription text after spoken punctuation
+   * @returns {string}
+   */
+  applyEditingCommands(text) {
+    this.carriedEditingCommands = [];
+    if (!this.config.editingCommands || !text) {
       return text;
     }
 
-    let result = text;
-    let replacementCount = 0;
+    const result = this.editingCommands.apply(text);
+    this.carriedEditingCommands = result.carried;
 
-    for (const [pattern, replacement] of Object.entries(this.vocabulary.replacements)) {
-      // Create case-insensitive regex with word boundaries
-      const regex = new RegExp(`\\b${this.escapeRegex(pattern)}\\b`, 'gi');
-      const before = result;
-      result = result.replace(regex, replacement);
-      if (result !== before) {
-        replacementCount++;
+    if (result.count > 0) {
+      console.log(`✏️ Applied ${result.count} editing commands`);
+    }
+
+    return result.text;
+  }
+
+  /**
+   * @returns {TranscriptCleaner|null}
+   */
+  loadTranscriptCleaner() {
+    try {
+      const cleaner = TranscriptCleaner.fromEnv();
+      if (cleaner) {
+        console.log(`🧹 LLM cleanup: ${cleaner.apiUrl}${cleaner.model ? ` (${cleaner.model})` : ''}`);
       }
+      return cleaner;
+    } catch (error) {
+      console.error('[VoiceInputApp] LLM cleanup disabled:', error.message);
+      return null;
     }
+  }
 
-    if (replacementCount > 0) {
-      console.log(`📖 Applied ${replacementCount} vocabulary replacements`);
+  /**
+   * Pass the transcription through the LLM cleanup, if configured.
+   * Falls back to the transcription as is when the call fails.
+   * @param {string} transcription - Output of transcribeAudio()
+   * @returns {Promise<string>}
+   */
+  async cleanupTranscription(transcription) {
+    if (!this.transcriptCleaner || !transcription) {
+      return transcription;
     }
 
-    return result;
+    console.log('🧹 Cleaning up with LLM...');
+    const result = await this.transcriptCleaner.clean(transcription);
+
+    if (result.cleaned) {
+      console.log(`🧹 Cleaned in ${result.durationMs}ms: "${result.text}"`);
+    } else {
+      console.warn(`[VoiceInputApp] ⚠️ LLM cleanup failed (${result.error}), using the transcription as is`);
+    }
+
+    this.logger.logSession(this.sessionId, 'LLM_CLEANUP', {
+      cleaned: result.cleaned,
+      durationMs: result.durationMs,
+      error: result.error,
+      text: result.cleaned ? result.text : undefined
+    });
+
+    return result.text;
   }
 
   /**
-   * Escape special regex characters in a string
-   * @param {string} string - String to escape
-   * @returns {string} - Escaped string
+   * Tell the tray what spoken punctuation does until it is toggled there:
+   * config.json "spokenPunctuationDefault" mirrors SPOKEN_PUNCTUATION
    */
-  escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  publishUIDefaults() {
+    this.uiConfig = this.loadUIConfig();
+    if (this.uiConfig.spokenPunctuationDefault !== this.config.spokenPunctuation) {
+      this.uiConfig.spokenPunctuationDefault = this.config.spokenPunctuation;
+      this.saveUIConfig();
+    }
   }
 
   /**
@@ -247,12 +445,14 @@ class VoiceInputApp {
     this.logger.logSession(this.sessionId, 'INIT_START');
 
     try {
-      // Get the default microphone from Ubuntu settings
-      const defaultDevice = await SimpleAudioRecorder.getDefaultMicrophone();
-
-      // Recreate SimpleAudioRecorder with the correct device
-      this.audioRecorder = new SimpleAudioRecorder({
-        device: defaultDevice
+      // Resolve MICROPHONE_DEVICE / remembered device, falling back to default
+      const microphone = await new MicrophoneManager().selectMicrophone();
+      this.audioRecorder.setMicrophone(microphone);
+      console.log(`🎙️ Microphone: ${microphone.name}`);
+      this.logger.logSession(this.sessionId, 'MICROPHONE_SELECTED', {
+        name: microphone.name,
+        source: microphone.source,
+        backend: this.audioRecorder.options.backend
       });
 
       // Skip system checks on startup - they'll fail naturally if something is wrong
@@ -261,6 +461,8 @@ class VoiceInputApp {
 
       await this.soundNotifier.initialize();
 
+      this.publishUIDefaults();
+
       console.log('✅ Ready');
       this.logger.logSession(this.sessionId, 'INIT_SUCCESS');
 
@@ -271,7 +473,13 @@ class VoiceInputApp {
     }
   }
 
-  async run(stopCallback) {
+  /**
+   * Record one session, transcribe it and copy the result
+   * @param {Function} stopCallback - Receives the function that stops the recording
+   * @param {Object} [options]
+   * @param {boolean} [options.pushToTalk] - Started by a key press; taps shorter than pushToTalkMinHoldMs are discarded
+   */
+  async run(stopCallback, options = {}) {
     if (this.isRunning) {
       console.log('⚠️ Already running');
       return;
@@ -281,13 +489,33 @@ class VoiceInputApp {
 
     try {
       console.log('🎤 Starting recording...');
-      console.log('🔴 Press hotkey again to stop recording');
-      this.logger.logSession(this.sessionId, 'RECORDING_START');
+      if (options.pushToTalk) {
+        console.log('🔴 Release the push-to-talk key to stop recording');
+      } else {
+        console.log(this.autoStopOnSilence
+          ? '🔴 Press hotkey again or pause speaking to stop recording'
+          : '🔴 Press hotkey again to stop recording');
+        console.log('⏸️ Run `voice-input pause` to pause/resume');
+      }
+      this.logger.logSession(this.sessionId, 'RECORDING_START', { pushToTalk: Boolean(options.pushToTalk) });
+      this.logger.logSession(this.sessionId, 'AUDIO_PREPROCESSING', this.audioPreprocessor.describe());
 
       // Start recording and wait for manual stop
       const startTime = Date.now();
+      this.recordingJournal.start(this.sessionId);
       const audioBuffer = await this.startRecordingAndWaitForStop(stopCallback);
-      const recordingDuration = Date.now() - startTime;
+      // Up to the key release / stop request; stopping ffmpeg and encoding is not part of the hold
+      const recordingDuration = this.lastStopRequestedAt - startTime;
+      this.recordingJournal.finish();
+
+      if (options.pushToTalk && recordingDuration < this.config.pushToTalkMinHoldMs) {
+        console.log(`⏭️ Released after ${recordingDuration}ms (minimum hold ${this.config.pushToTalkMinHoldMs}ms) - discarded`);
+        this.logger.logSession(this.sessionId, 'RECORDING_TOO_SHORT', {
+          duration: recordingDuration,
+          minHoldMs: this.config.pushToTalkMinHoldMs
+        });
+        return;
+      }
 
       if (!audioBuffer) {
         console.log('⚠️ No audio recorded');
@@ -295,15 +523,31 @@ class VoiceInputApp {
         return;
       }
 
+      const levelStats = this.audioRecorder.lastLevelStats;
+
       this.logger.logSession(this.sessionId, 'RECORDING_SUCCESS', {
         duration: recordingDuration,
-        audioSize: audioBuffer.length
+        audioSize: audioBuffer.length,
+        preRollMs: this.audioRecorder.lastPreRollMs,
+        segments: this.audioRecorder.segments.length,
+        levels: levelStats
       });
 
+      const levelProblem = this.checkRecordingLevels(levelStats);
+      if (levelProblem) {
+        console.log(`🔇 ${levelProblem.message} - skipping transcription`);
+        this.logger.logSession(this.sessionId, 'RECORDING_SILENT', {
+          reason: levelProblem.reason,
+          ...levelStats
+        });
+        await this.soundNotifier.playError().catch(console.error);
+        return;
+      }
+
       // Save backup before transcription
       await this.saveRecordingBackup(audioBuffer);
 
-      const transcription = await this.transcribeAudio(audioBuffer);
+      const transcription = await this.cleanupTranscription(await this.transcribeAudio(audioBuffer));
       await this.copyTranscriptionToClipboard(transcription);
 
       // Delete backup after successful transcription (if enabled)
@@ -331,10 +575,202 @@ class VoiceInputApp {
 
     } finally {
       this.isRunning = false;
+      // The session ended without crashing; failed transcriptions keep the backup instead
+      this.recordingJournal.discard();
       this.cleanup();
     }
   }
 
+  /**
+   * Journals left in var/recordings/in-progress/ by a session that crashed
+   * @returns {Object[]}
+   */
+  findUnfinishedRecordings() {
+    try {
+      return this.recordingJournal.findUnfinished();
+    } catch (error) {
+      console.error('[VoiceInputApp] Failed to scan unfinished recordings:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * On startup, offer to recover recordings interrupted by a crash.
+   * RECOVER_UNFINISHED=ask prompts when run from a terminal and otherwise
+   * only prints a hint; auto recovers without asking; off skips the check.
+   */
+  async offerRecovery() {
+    if (this.recoverUnfinished === 'off') return;
+
+    const sessions = this.findUnfinishedRecordings();
+    if (sessions.length === 0) return;
+
+    console.log(`🩹 Found ${sessions.length} unfinished recording(s) from an interrupted session:`);
+    sessions.forEach((session) => {
+      console.log(`  - ${session.id} (${(session.durationMs / 1000).toFixed(1)}s, ${session.segments.length} segment(s))`);
+    });
+    this.logger.logSession(this.sessionId, 'UNFINISHED_RECORDINGS_FOUND', {
+      count: sessions.length,
+      ids: sessions.map(session => session.id)
+    });
+
+    if (this.recoverUnfinished !== 'auto') {
+      if (!process.stdin.isTTY) {
+        console.log('💡 Run `voice-input recover` to transcribe them');
+        return;
+      }
+
+      const answer = await this.ask('Recover and transcribe them now? [Y/n] ');
+      if (/^n/i.test(answer.trim())) {
+        console.log('💡 Kept for later - run `voice-input recover` to transcribe them');
+        return;
+      }
+    }
+
+    await this.recoverRecordings(sessions);
+  }
+
+  ask(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer);
+      });
+    });
+  }
+
+  /**
+   * Repair and merge each unfinished journal into var/recordings/, then
+   * transcribe it like a selected file. The recovered WAV follows the normal
+   * backup policy: deleted after success unless DELETE_BACKUP_AFTER_SUCCESS=false.
+   *
+   * @param {Object[]} sessions - Entries from findUnfinishedRecordings()
+   * @returns {Promise<number>} Number of recordings transcribed
+   */
+  async recoverRecordings(sessions) {
+    let recovered = 0;
+
+    for (const session of sessions) {
+      let recoveredPath = null;
+
+      try {
+        recoveredPath = this.recordingJournal.recover(
+          session,
+          path.join(this.backupDir, `recovered-${session.id}.wav`)
+        );
+      } catch (error) {
+        console.error(`[VoiceInputApp] Failed to recover ${session.id}:`, error.message);
+        this.logger.logError(this.sessionId, error, 'recovery');
+        continue;
+      }
+
+      if (!recoveredPath) {
+        console.log(`⚠️ ${session.id} contained no audio - discarded`);
+        continue;
+      }
+
+      console.log(`🩹 Recovered ${session.id} → ${recoveredPath}`);
+      this.logger.logSession(this.sessionId, 'RECORDING_RECOVERED', {
+        id: session.id,
+        originalSessionId: session.sessionId,
+        startedAt: session.startedAt,
+        segments: session.segments.length,
+        durationMs: session.durationMs,
+        path: recoveredPath
+      });
+
+      try {
+        await this.runFromAudioFiles([recoveredPath]);
+        recovered++;
+
+        if (this.config.deleteBackupAfterSuccess) {
+          fs.unlinkSync(recoveredPath);
+        } else {
+          console.log('💾 Recovered recording retained:', recoveredPath);
+        }
+      } catch (error) {
+        console.error(`[VoiceInputApp] Recovered recording kept at ${recoveredPath}`);
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Pause the active recording; a second call resumes it
+   */
+  async togglePause() {
+    if (this.audioRecorder.isPaused) {
+      await this.resumeRecording();
+    } else {
+      await this.pauseRecording();
+    }
+  }
+
+  async pauseRecording() {
+    if (!this.audioRecorder.pause()) {
+      console.log('⚠️ Nothing to pause');
+      return;
+    }
+
+    this.logger.logSession(this.sessionId, 'RECORDING_PAUSED', {
+      segment: this.audioRecorder.segments.length
+    });
+    await this.soundNotifier.playPause().catch(console.error);
+  }
+
+  async resumeRecording() {
+    if (!this.audioRecorder.resume()) {
+      console.log('⚠️ Nothing to resume');
+      return;
+    }
+
+    this.logger.logSession(this.sessionId, 'RECORDING_RESUMED', {
+      segment: this.audioRecorder.segments.length
+    });
+    await this.soundNotifier.playResume().catch(console.error);
+  }
+
+  /**
+   * Start buffering microphone audio between sessions (daemon mode).
+   * No-op unless PREROLL_ENABLED=true.
+   */
+  startPreRoll() {
+    this.audioRecorder.startPreRoll();
+  }
+
+  /**
+   * Decide whether a recording is worth sending to the provider.
+   * A muted microphone yields digital silence or a flat noise floor; a gain
+   * set far too high yields mostly full-scale samples. Both transcribe to
+   * garbage, so they are rejected before any upload.
+   *
+   * @param {Object|null} stats - AudioLevelMeter statistics for the recording
+   * @returns {{reason: string, message: string}|null} Problem found, or null
+   */
+  checkRecordingLevels(stats) {
+    if (!this.levelGuard.enabled || !stats) {
+      return null;
+    }
+
+    if (stats.maxWindowRms < this.levelGuard.silentThreshold) {
+      return {
+        reason: 'silent',
+        message: `Recording is silent (max level ${stats.maxWindowRms.toFixed(4)}) - is the microphone muted?`
+      };
+    }
+
+    if (stats.clippedRatio > this.levelGuard.maxClippedRatio) {
+      return {
+        reason: 'clipped',
+        message: `Recording is heavily clipped (${(stats.clippedRatio * 100).toFixed(1)}% of samples) - lower the input gain`
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Transcribe one or more existing audio files without touching microphone
    * recording state. This is the Nautilus/right-click entrypoint, so it keeps
@@ -366,10 +802,12 @@ class VoiceInputApp {
         fileCount: sortedFiles.length,
         files: sortedFiles
       });
+      this.logger.logSession(this.sessionId, 'AUDIO_PREPROCESSING', this.audioPreprocessor.describe());
 
       let audioBuffer;
 
-      if (sortedFiles.length === 1) {
+      // A single file is passed through untouched unless filters must be applied
+      if (sortedFiles.length === 1 && !this.audioFileProcessor.hasFilters()) {
         audioBuffer = this.audioFileProcessor.readAudioBuffer(sortedFiles[0]);
         this.logger.logSession(this.sessionId, 'FILE_TRANSCRIPTION_INPUT', {
           path: sortedFiles[0],
@@ -391,7 +829,7 @@ class VoiceInputApp {
         });
       }
 
-      const transcription = await this.transcribeAudio(audioBuffer);
+      const transcription = await this.cleanupTranscription(await this.transcribeAudio(audioBuffer));
       await this.copyTranscriptionToClipboard(transcription);
 
       console.log('✅ File transcription completed');
@@ -438,9 +876,17 @@ class VoiceInputApp {
     this.uiConfig = this.loadUIConfig();
 
     if (this.uiConfig.mode === 'notebook') {
+      // A recording that starts with "scratch that" drops the previous entry
+      if (this.carriedEditingCommands.length > 0) {
+        const edited = EditingCommands.applyToEntries(this.uiConfig.notebookBuffer, this.carriedEditingCommands);
+        console.log(`✏️ Notebook buffer: applied ${edited} editing commands to earlier recordings`);
+      }
+
       // Notebook mode: accumulate transcriptions
-      console.log('📓 Notebook mode: adding to buffer');
-      this.uiConfig.notebookBuffer.push(transcription);
+      if (transcription) {
+        console.log('📓 Notebook mode: adding to buffer');
+        this.uiConfig.notebookBuffer.push(transcription);
+      }
       this.saveUIConfig();
 
       // Copy accumulated buffer (join with newline)
@@ -449,17 +895,37 @@ class VoiceInputApp {
 
       console.log(`📓 Buffer size: ${this.uiConfig.notebookBuffer.length} recordings`);
     } else {
+      if (this.carriedEditingCommands.length > 0) {
+        console.log('⚠️ Editing commands at the start of a recording only change the notebook buffer');
+
+        // Nothing but a command: leave what the user copied before in the clipboard
+        if (!transcription) {
+          console.log('📋 Clipboard left unchanged');
+          this.logger.logSession(this.sessionId, 'CLIPBOARD_SKIPPED', { reason: 'editing-command-only' });
+          return;
+        }
+      }
+
       // Normal mode: copy single transcription
       await this.copyText(transcription);
     }
   }
 
   async startRecordingAndWaitForStop(stopCallback) {
+    this.lastStopRequestedAt = null;
+
     return new Promise((resolve, reject) => {
       let audioBuffer = null;
+      let stopRequested = false;
 
-      // Setup stop handler
+      // Setup stop handler (hotkey and auto-stop may both fire; stop once)
       const handleStop = async () => {
+        if (stopRequested) {
+          return;
+        }
+        stopRequested = true;
+        this.lastStopRequestedAt = Date.now();
+
         try {
           audioBuffer = await this.audioRecorder.stopRecording();
           resolve(audioBuffer);
@@ -484,6 +950,13 @@ class VoiceInputApp {
         this.soundNotifier.playEndRecording().catch(console.error);
       });
 
+      // Silence after speech or the max duration ends the recording like a hotkey
+      this.audioRecorder.removeAllListeners('autoStop');
+      this.audioRecorder.once('autoStop', (details) => {
+        this.logger.logSession(this.sessionId, 'RECORDING_AUTO_STOP', details);
+        handleStop();
+      });
+
       // Start the recording
       this.audioRecorder.startRecording()
         .catch((error) => {
@@ -505,10 +978,10 @@ class VoiceInputApp {
 
     try {
       if (this.config.transcriptionProvider) {
-        // Use explicitly specified provider
-        this.transcriber = ProviderFactory.create(
+        // Use explicitly specified provider, or a comma-separated fallback chain
+        this.transcriber = ProviderFactory.createFromEnv(
           this.config.transcriptionProvider,
-          ProviderFactory._buildConfigFromEnv(this.config.transcriptionProvider, process.env),
+          process.env,
           this.logger,
           this.sessionId
         );
@@ -516,6 +989,11 @@ class VoiceInputApp {
         // Auto-detect provider from environment
         this.transcriber = ProviderFactory.autoDetect(process.env, this.logger, this.sessionId);
       }
+
+      // Bias recognition with the vocabulary up front (prompt / hotwords)
+      if (this.config.vocabularyPrompt) {
+        this.transcriber.setVocabulary(this.getVocabularyTerms());
+      }
     } catch (error) {
       console.error('[VoiceInputApp] Transcription provider initialization failed:', error.message);
       console.error('\nAvailable providers:', ProviderFactory.getAvailableProviders().join(', '));
@@ -543,13 +1021,28 @@ class VoiceInputApp {
     console.log('🔄 Transcribing...');
 
     try {
-      let transcription = await this.transcriber.transcribe(audioBuffer);
+      // Only pay for a detailed request when something reads the details
+      const result = this.config.transcriptionDetails
+        ? await this.transcriber.transcribeDetailed(audioBuffer)
+        : TranscriptionProvider.createResult({ text: await this.transcriber.transcribe(audioBuffer) });
+      this.lastTranscriptionResult = result;
+      this.logTranscriptionDetails(result);
+
+      let transcription = result.text;
 
       // Apply vocabulary replacements (IT terms, etc.)
-      transcription = this.applyVocabulary(transcription);
+      transcription = this.applyVocabulary(transcription, result.language);
+
+      // Spoken punctuation ("запятая", "new line") - after vocabulary, so rules see the words
+      transcription = this.applySpokenPunctuation(transcription);
+
+      // "Scratch that", "replace X with Y" - last, so they see the final sentences
+      transcription = this.applyEditingCommands(transcription);
 
       console.log(`✅ "${transcription}"`);
-      this.logger.logTranscription(this.sessionId, transcription);
+      // The provider's own words are what `voice-input correct` learns from
+      this.logger.logTranscription(this.sessionId, transcription, null,
+        transcription !== result.text ? { raw: result.text } : {});
       return transcription;
 
     } catch (error) {
@@ -567,6 +1060,27 @@ class VoiceInputApp {
     }
   }
 
+  /**
+   * Log what the provider returned beyond the text, and warn on low confidence
+   * @param {TranscriptionResult} result
+   */
+  logTranscriptionDetails(result) {
+    if (result.language || result.confidence !== null || result.segments.length > 0) {
+      this.logger.logSession(this.sessionId, 'TRANSCRIPTION_DETAILS', {
+        provider: result.provider,
+        language: result.language,
+        confidence: result.confidence,
+        duration: result.duration,
+        segments: result.segments
+      });
+    }
+
+    const threshold = this.config.lowConfidenceThreshold;
+    if (result.confidence !== null && threshold > 0 && result.confidence < threshold) {
+      console.warn(`⚠️ Low confidence (${Math.round(result.confidence * 100)}%) - check the text before using it`);
+    }
+  }
+
   /**
    * Format text into multiple lines by wrapping at word boundaries
    * Keeps lines around 120 characters for comfortable reading
@@ -697,6 +1211,9 @@ class VoiceInputApp {
   stop() {
     // Stopping
     this.isRunning = false;
+    this.audioRecorder.stopPreRoll();
+    // Keep the journal on disk: an interrupted recording is recovered on next start
+    this.recordingJournal.finish();
     this.cleanup();
   }
 }
@@ -0,0 +1,38 @@
+const RecordingBackend = require('./RecordingBackend');
+
+/**
+ * ALSA arecord backend
+ * Pulse/PipeWire sources are reached through the ALSA `pulse` plugin with
+ * PULSE_SOURCE set, which is the only way arecord can pick a specific source.
+ */
+class ArecordBackend extends RecordingBackend {
+  buildArgs(microphone) {
+    return [
+      '-D', microphone.device,
+      '-f', 'S16_LE',
+      '-c', this.options.channels.toString(),
+      '-r', this.options.sampleRate.toString(),
+      '-t', 'raw',
+      '-q'
+    ];
+  }
+
+  buildEnv(microphone) {
+    return microphone.env || {};
+  }
+
+  isIgnorableStderr(text) {
+    // Audio overruns are common and not critical
+    return text.includes('overrun');
+  }
+
+  static getCommand() {
+    return 'arecord';
+  }
+
+  static getBackendName() {
+    return 'arecord';
+  }
+}
+
+module.exports = ArecordBackend;
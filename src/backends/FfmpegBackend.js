@@ -0,0 +1,35 @@
+const RecordingBackend = require('./RecordingBackend');
+
+/**
+ * ffmpeg `-f pulse` backend
+ * Last resort when no dedicated capture tool is installed; ffmpeg is already
+ * required for compression.
+ */
+class FfmpegBackend extends RecordingBackend {
+  buildArgs(microphone) {
+    return [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-f', 'pulse',
+      '-i', microphone.source === 'pulse' ? microphone.name : 'default',
+      '-ac', this.options.channels.toString(),
+      '-ar', this.options.sampleRate.toString(),
+      '-f', 's16le',
+      'pipe:1'
+    ];
+  }
+
+  static getCommand() {
+    return 'ffmpeg';
+  }
+
+  static getBackendName() {
+    return 'ffmpeg';
+  }
+
+  static isAvailable() {
+    return this.commandExists(this.getCommand()) && this.runtimeSocketExists('pulse/native');
+  }
+}
+
+module.exports = FfmpegBackend;
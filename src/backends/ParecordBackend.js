@@ -0,0 +1,35 @@
+const RecordingBackend = require('./RecordingBackend');
+
+/**
+ * PulseAudio parecord backend (also works against pipewire-pulse)
+ */
+class ParecordBackend extends RecordingBackend {
+  buildArgs(microphone) {
+    const args = [
+      '--raw',
+      '--format=s16le',
+      `--rate=${this.options.sampleRate}`,
+      `--channels=${this.options.channels}`
+    ];
+
+    if (microphone.source === 'pulse') {
+      args.push(`--device=${microphone.name}`);
+    }
+
+    return args;
+  }
+
+  static getCommand() {
+    return 'parecord';
+  }
+
+  static getBackendName() {
+    return 'parecord';
+  }
+
+  static isAvailable() {
+    return this.commandExists(this.getCommand()) && this.runtimeSocketExists('pulse/native');
+  }
+}
+
+module.exports = ParecordBackend;
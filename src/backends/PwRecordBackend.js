@@ -0,0 +1,38 @@
+const RecordingBackend = require('./RecordingBackend');
+
+/**
+ * PipeWire pw-record backend
+ * Talks to PipeWire directly, so the selected source is honoured on systems
+ * where the ALSA compat layer would silently pick another one.
+ */
+class PwRecordBackend extends RecordingBackend {
+  buildArgs(microphone) {
+    const args = [
+      '--rate', this.options.sampleRate.toString(),
+      '--channels', this.options.channels.toString(),
+      '--format', 's16'
+    ];
+
+    // Pulse source names are PipeWire node names under pipewire-pulse
+    if (microphone.source === 'pulse') {
+      args.push('--target', microphone.name);
+    }
+
+    args.push('-'); // Write samples to stdout
+    return args;
+  }
+
+  static getCommand() {
+    return 'pw-record';
+  }
+
+  static getBackendName() {
+    return 'pw-record';
+  }
+
+  static isAvailable() {
+    return this.commandExists(this.getCommand()) && this.runtimeSocketExists('pipewire-0');
+  }
+}
+
+module.exports = PwRecordBackend;
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Abstract base class for audio capture backends
+ * Every backend spawns one command that writes raw S16_LE PCM to stdout
+ */
+class RecordingBackend {
+  constructor(options = {}) {
+    if (this.constructor === RecordingBackend) {
+      throw new Error('RecordingBackend is abstract and cannot be instantiated directly');
+    }
+
+    this.options = options;
+  }
+
+  /**
+   * Build command-line arguments for capturing from a microphone
+   * @param {Object} microphone - Descriptor from MicrophoneManager
+   * @returns {string[]}
+   */
+  buildArgs(microphone) {
+    throw new Error('buildArgs() must be implemented by subclass');
+  }
+
+  /**
+   * Extra environment variables for the capture process
+   * @param {Object} microphone - Descriptor from MicrophoneManager
+   * @returns {Object}
+   */
+  buildEnv(microphone) {
+    return {};
+  }
+
+  /**
+   * Whether a stderr line is harmless noise
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isIgnorableStderr(text) {
+    return false;
+  }
+
+  /**
+   * Executable name (also used to recognize orphaned processes)
+   * @returns {string}
+   */
+  static getCommand() {
+    throw new Error('getCommand() must be implemented by subclass');
+  }
+
+  /**
+   * Backend name used in RECORDING_BACKEND
+   * @returns {string}
+   */
+  static getBackendName() {
+    throw new Error('getBackendName() must be implemented by subclass');
+  }
+
+  /**
+   * Whether the backend can run on this machine
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return this.commandExists(this.getCommand());
+  }
+
+  /**
+   * Look up an executable on PATH without spawning `which`
+   * (keeps auto-detection off the hotkey startup path's critical time)
+   * @param {string} command
+   * @returns {boolean}
+   */
+  static commandExists(command) {
+    const searchPath = process.env.PATH || '';
+
+    return searchPath.split(path.delimiter).some((dir) => {
+      if (!dir) return false;
+      try {
+        fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Whether a sound server socket exists in the user's runtime dir
+   * @param {string} relativePath - e.g. 'pipewire-0' or 'pulse/native'
+   * @returns {boolean}
+   */
+  static runtimeSocketExists(relativePath) {
+    const runtimeDir = process.env.XDG_RUNTIME_DIR;
+    return Boolean(runtimeDir) && fs.existsSync(path.join(runtimeDir, relativePath));
+  }
+}
+
+module.exports = RecordingBackend;
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const ArecordBackend = require('./ArecordBackend');
+const PwRecordBackend = require('./PwRecordBackend');
+const ParecordBackend = require('./ParecordBackend');
+const FfmpegBackend = require('./FfmpegBackend');
+
+/**
+ * Factory for audio capture backends, plus bookkeeping of the capture
+ * processes they spawn so a crashed session can be cleaned up later
+ */
+class RecordingBackendFactory {
+  static backends = {
+    'arecord': ArecordBackend,
+    'pw-record': PwRecordBackend,
+    'parecord': ParecordBackend,
+    'ffmpeg': FfmpegBackend
+  };
+
+  // Preference order for RECORDING_BACKEND=auto
+  static autoOrder = ['pw-record', 'parecord', 'arecord', 'ffmpeg'];
+
+  static trackingFile = path.join('/tmp', 'voice-input-recorders.json');
+
+  /**
+   * Create a capture backend
+   * @param {string} backendName - Backend name or 'auto' (case-insensitive)
+   * @param {Object} options - Recorder options (sampleRate, channels)
+   * @param {Object} microphone - Descriptor from MicrophoneManager
+   * @returns {RecordingBackend}
+   * @throws {Error} If backend not found
+   */
+  static create(backendName, options, microphone) {
+    const normalizedName = (backendName || 'auto').toLowerCase().trim();
+
+    if (normalizedName === 'auto') {
+      const BackendClass = this.detect(microphone);
+      return new BackendClass(options);
+    }
+
+    const BackendClass = this.backends[normalizedName];
+    if (!BackendClass) {
+      throw new Error(
+        `Unknown recording backend: "${backendName}". ` +
+        `Available backends: auto, ${this.getAvailableBackends().join(', ')}`
+      );
+    }
+
+    return new BackendClass(options);
+  }
+
+  /**
+   * Pick the best installed backend for a microphone.
+   * Raw ALSA hardware devices can only be opened by arecord; everything else
+   * prefers talking to the sound server natively.
+   * @param {Object} microphone
+   * @returns {Function} Backend class
+   */
+  static detect(microphone) {
+    const isAlsaHardware = microphone && microphone.source === 'alsa' && microphone.device !== 'default';
+    if (isAlsaHardware && ArecordBackend.isAvailable()) {
+      return ArecordBackend;
+    }
+
+    for (const name of this.autoOrder) {
+      if (this.backends[name].isAvailable()) {
+        return this.backends[name];
+      }
+    }
+
+    // Nothing detected: arecord fails on spawn with a clear ENOENT
+    return ArecordBackend;
+  }
+
+  /**
+   * Get list of known backends
+   * @returns {string[]}
+   */
+  static getAvailableBackends() {
+    return Object.keys(this.backends);
+  }
+
+  /**
+   * Get names of backends usable on this machine
+   * @returns {string[]}
+   */
+  static getInstalledBackends() {
+    return Object.entries(this.backends)
+      .filter(([, BackendClass]) => BackendClass.isAvailable())
+      .map(([name]) => name);
+  }
+
+  /**
+   * Read the map of tracked capture processes ({pid: {backend, owner}})
+   * @returns {Object}
+   */
+  static readTrackedProcesses() {
+    try {
+      if (fs.existsSync(this.trackingFile)) {
+        return JSON.parse(fs.readFileSync(this.trackingFile, 'utf8'));
+      }
+    } catch (error) {
+      // Corrupted tracking file - treat as empty
+    }
+    return {};
+  }
+
+  static _writeTrackedProcesses(tracked) {
+    try {
+      if (Object.keys(tracked).length === 0) {
+        if (fs.existsSync(this.trackingFile)) {
+          fs.unlinkSync(this.trackingFile);
+        }
+        return;
+      }
+      fs.writeFileSync(this.trackingFile, JSON.stringify(tracked), 'utf8');
+    } catch (error) {
+      console.error('⚠️ Failed to update recorder tracking file:', error.message);
+    }
+  }
+
+  /**
+   * Remember a spawned capture process and the voice-input process owning it
+   * @param {number} pid
+   * @param {string} backendName
+   */
+  static trackProcess(pid, backendName) {
+    const tracked = this.readTrackedProcesses();
+    tracked[pid] = { backend: backendName, owner: process.pid };
+    this._writeTrackedProcesses(tracked);
+  }
+
+  /**
+   * Forget a capture process that exited
+   * @param {number} pid
+   */
+  static untrackProcess(pid) {
+    const tracked = this.readTrackedProcesses();
+    delete tracked[pid];
+    this._writeTrackedProcesses(tracked);
+  }
+}
+
+module.exports = RecordingBackendFactory;
@@ -0,0 +1,20 @@
+/**
+ * Recording Backends Index
+ * Export all capture backends and factory for easy importing
+ */
+
+const RecordingBackend = require('./RecordingBackend');
+const ArecordBackend = require('./ArecordBackend');
+const PwRecordBackend = require('./PwRecordBackend');
+const ParecordBackend = require('./ParecordBackend');
+const FfmpegBackend = require('./FfmpegBackend');
+const RecordingBackendFactory = require('./RecordingBackendFactory');
+
+module.exports = {
+  RecordingBackend,
+  ArecordBackend,
+  PwRecordBackend,
+  ParecordBackend,
+  FfmpegBackend,
+  RecordingBackendFactory
+};
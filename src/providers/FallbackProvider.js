@@ -0,0 +1,150 @@
+const TranscriptionProvider = require('./TranscriptionProvider');
+
+/**
+ * Fallback Transcription Provider
+ * Wraps an ordered list of providers (TRANSCRIPTION_PROVIDER=palatine,nexara,parakeetv3)
+ * and tries them in turn until one returns text. Each provider keeps its own
+ * retries; the optional per-provider timeout caps how long the chain waits
+ * before moving on.
+ */
+class FallbackProvider extends TranscriptionProvider {
+  constructor(config, logger = null, sessionId = null) {
+    super(config, logger, sessionId);
+
+    if (!FallbackProvider.validateConfig(config)) {
+      throw new Error('Fallback provider needs at least one provider');
+    }
+
+    this.providers = config.providers; // [{ name, provider }]
+    this.timeout = config.timeout || 0; // Per provider, 0 = rely on the provider's own timeouts
+    this.lastProviderName = null;
+  }
+
+  /**
+   * Run one provider, giving up after this.timeout if set.
+   * The abandoned request is aborted for providers that accept a signal.
+   * @private
+   */
+  _transcribeWithTimeout(entry, audioBuffer, detailed) {
+    const run = (options) => detailed
+      ? entry.provider.transcribeDetailed(audioBuffer, options)
+      : entry.provider.transcribe(audioBuffer, options);
+
+    if (!this.timeout) {
+      return run();
+    }
+
+    const controller = new AbortController();
+    const transcription = run({ signal: controller.signal });
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`${entry.name} did not answer within ${this.timeout}ms`));
+      }, this.timeout);
+    });
+
+    // A late rejection from the abandoned provider must not go unhandled
+    transcription.catch(() => {});
+
+    return Promise.race([transcription, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  setVocabulary(terms) {
+    super.setVocabulary(terms);
+    this.providers.forEach(entry => entry.provider.setVocabulary(terms));
+  }
+
+  dispose() {
+    this.providers.forEach(entry => entry.provider.dispose());
+  }
+
+  async transcribe(audioBuffer) {
+    return this._transcribeChain(audioBuffer, false);
+  }
+
+  async transcribeDetailed(audioBuffer) {
+    return this._transcribeChain(audioBuffer, true);
+  }
+
+  /**
+   * Try each provider in order
+   * @returns {Promise<string|TranscriptionResult>} A result object when detailed
+   * @private
+   */
+  async _transcribeChain(audioBuffer, detailed) {
+    const failures = [];
+    this.lastProviderName = null;
+
+    for (const [index, entry] of this.providers.entries()) {
+      try {
+        if (index > 0) {
+          console.log(`[${FallbackProvider.getProviderName()}] Trying ${entry.name} (${index + 1}/${this.providers.length})...`);
+        }
+
+        const transcription = await this._transcribeWithTimeout(entry, audioBuffer, detailed);
+        const text = detailed ? transcription.text : transcription;
+
+        if (!text || text.trim().length === 0) {
+          throw new Error('Empty transcription result');
+        }
+
+        this.lastProviderName = entry.name;
+        console.log(`[${FallbackProvider.getProviderName()}] Transcribed by ${entry.name}`);
+
+        if (this.logger && this.sessionId) {
+          this.logger.logSession(this.sessionId, 'TRANSCRIPTION_PROVIDER_USED', {
+            provider: entry.name,
+            position: index + 1,
+            failed: failures.map(failure => failure.provider)
+          });
+        }
+
+        return transcription;
+
+      } catch (error) {
+        failures.push({ provider: entry.name, error: error.message });
+
+        console.warn(`[${FallbackProvider.getProviderName()}] ${entry.name} failed: ${error.message}`);
+        if (this.logger && this.sessionId) {
+          this.logger.logSession(this.sessionId, 'PROVIDER_FAILED', {
+            provider: entry.name,
+            position: index + 1,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    throw new Error(
+      'All transcription providers failed: ' +
+      failures.map(failure => `${failure.provider} (${failure.error})`).join('; ')
+    );
+  }
+
+  static validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return false;
+    }
+
+    return Array.isArray(config.providers) && config.providers.length > 0;
+  }
+
+  static getProviderName() {
+    return 'Fallback';
+  }
+
+  static getRequirements() {
+    return {
+      name: this.getProviderName(),
+      configKeys: ['TRANSCRIPTION_PROVIDER'],
+      optionalKeys: ['TRANSCRIPTION_PROVIDER_TIMEOUT'],
+      documentation:
+        'Set TRANSCRIPTION_PROVIDER to a comma-separated list, e.g. palatine,nexara,parakeetv3\n' +
+        'Providers are tried in order until one returns text'
+    };
+  }
+}
+
+module.exports = FallbackProvider;
@@ -0,0 +1,366 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const TranscriptionProvider = require('./TranscriptionProvider');
+
+/**
+ * Base class for cloud providers that POST audio over HTTP
+ * Owns the request/retry loop so every HTTP provider behaves the same:
+ * - exponential backoff with jitter between attempts
+ * - Retry-After (seconds or HTTP date) honoured on 429/503
+ * - no retries on 4xx client errors (auth, bad request), except 408 and 429
+ * - one overall deadline per transcription; each attempt's timeout is
+ *   clipped to the time that is left
+ *
+ * Subclasses implement buildRequest() and parseResponse().
+ */
+class HttpTranscriptionProvider extends TranscriptionProvider {
+  constructor(config, logger = null, sessionId = null) {
+    super(config, logger, sessionId);
+
+    if (this.constructor === HttpTranscriptionProvider) {
+      throw new Error('HttpTranscriptionProvider is abstract and cannot be instantiated directly');
+    }
+
+    // Subclasses may set their own timeout/maxRetries defaults after super()
+    this.timeout = config.timeout || 120000; // Per attempt
+    this.maxRetries = config.maxRetries || 3; // Total attempts
+    this.deadline = config.deadline || HttpTranscriptionProvider.DEFAULT_DEADLINE_MS;
+    this.retryBaseDelay = config.retryBaseDelay || 1000;
+    this.retryMaxDelay = config.retryMaxDelay || 30000;
+  }
+
+  static DEFAULT_DEADLINE_MS = 300000; // 5 minutes for the whole transcription
+
+  /**
+   * Describe the HTTP request for one attempt
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} [options]
+   * @param {boolean} [options.detailed] - Ask for segments/language if the API can return them
+   * @returns {{url: string, data: *, headers: Object, bodyMeta: Object, responseType?: string}}
+   */
+  buildRequest(audioBuffer, options = {}) {
+    throw new Error('buildRequest() must be implemented by subclass');
+  }
+
+  /**
+   * Pull the transcription out of a successful response
+   * @param {Object} response - axios response
+   * @returns {string}
+   */
+  parseResponse(response) {
+    return response.data?.text || '';
+  }
+
+  /**
+   * Pull a TranscriptionResult out of a response to a detailed request.
+   * Defaults to text only; override when the API returns more.
+   * @param {Object} response - axios response
+   * @returns {TranscriptionResult}
+   */
+  parseDetailedResponse(response) {
+    return TranscriptionProvider.createResult({ text: this.parseResponse(response) });
+  }
+
+  /**
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @returns {Promise<string>}
+   */
+  async transcribe(audioBuffer, options = {}) {
+    const result = await this._requestWithRetries(audioBuffer, options, false);
+    return result.text;
+  }
+
+  /**
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} [options] - Same as transcribe()
+   * @returns {Promise<TranscriptionResult>}
+   */
+  async transcribeDetailed(audioBuffer, options = {}) {
+    return this._requestWithRetries(audioBuffer, options, true);
+  }
+
+  /**
+   * The request/retry loop shared by transcribe() and transcribeDetailed()
+   * @private
+   */
+  async _requestWithRetries(audioBuffer, options, detailed) {
+    if (!audioBuffer || audioBuffer.length === 0) {
+      throw new Error('Audio buffer is required and cannot be empty');
+    }
+
+    const name = this.constructor.getProviderName();
+    const startTime = Date.now();
+
+    console.log(`[${name}] Transcribing audio...`);
+
+    for (let attempt = 1; ; attempt++) {
+      const remaining = this.deadline - (Date.now() - startTime);
+      let request = null;
+
+      try {
+        // The backoff sleep can overrun what was left of the deadline
+        if (remaining <= 0) {
+          throw new Error(`Deadline of ${this.deadline}ms reached after ${attempt - 1} attempt(s)`);
+        }
+
+        // FormData streams are single-use: rebuild the request every attempt
+        request = this.buildRequest(audioBuffer, { detailed });
+        // axios treats a timeout of 0 as no timeout at all
+        const attemptTimeout = Math.max(1, Math.min(this.timeout, remaining));
+
+        if (this.logger && this.sessionId) {
+          this.logger.logHttpRequest(this.sessionId, 'POST', request.url, request.headers, request.bodyMeta);
+        }
+
+        console.log(`[${name}] REQUEST: POST ${request.url}`);
+        console.log(`  Body: ${Object.entries(request.bodyMeta).map(([key, value]) => `${key}=${value}`).join(', ')}`);
+
+        const response = await axios.post(request.url, request.data, {
+          headers: request.headers,
+          timeout: attemptTimeout,
+          signal: options.signal,
+          responseType: request.responseType
+        });
+
+        if (this.logger && this.sessionId) {
+          this.logger.logHttpResponse(
+            this.sessionId,
+            response.status,
+            response.statusText,
+            response.headers,
+            response.data
+          );
+        }
+
+        const result = detailed
+          ? this.parseDetailedResponse(response)
+          : TranscriptionProvider.createResult({ text: this.parseResponse(response) });
+
+        if (!result.text || result.text.trim().length === 0) {
+          throw new Error('Empty transcription result');
+        }
+
+        result.text = result.text.trim();
+        result.provider = name;
+
+        console.log(`[${name}] Transcribed: "${result.text}"`);
+        return result;
+
+      } catch (error) {
+        // Cancelled on purpose (another provider won the race): no retry, no error log
+        if (axios.isCancel(error)) {
+          throw error;
+        }
+
+        const url = request ? request.url : this.apiUrl;
+        const delay = this.getRetryDelay(error, attempt);
+        const timeLeft = this.deadline - (Date.now() - startTime);
+
+        if (HttpTranscriptionProvider.isRetryable(error) && attempt < this.maxRetries) {
+          if (delay < timeLeft) {
+            console.warn(
+              `[${name}] ${HttpTranscriptionProvider.describeError(error)} ` +
+              `(attempt ${attempt}/${this.maxRetries}), retrying in ${(delay / 1000).toFixed(1)}s...`
+            );
+            await HttpTranscriptionProvider.sleep(delay, options.signal);
+            continue;
+          }
+
+          console.error(`[${name}] Deadline of ${this.deadline}ms reached after ${attempt} attempt(s), giving up`);
+        }
+
+        if (HttpTranscriptionProvider.isTimeout(error)) {
+          console.error(`[${name}] Timeout - server may be overloaded`);
+        }
+
+        if (this.logger && this.sessionId) {
+          this.logger.logHttpError(this.sessionId, error, url);
+        }
+
+        if (error.response) {
+          console.error(`[${name}] ERROR: ${error.response.status} ${error.response.statusText}`);
+          console.error(`  URL: ${url}`);
+          if (error.response.data) {
+            console.error(`  Response:`,
+              typeof error.response.data === 'object'
+                ? JSON.stringify(error.response.data, null, 2)
+                : error.response.data
+            );
+          }
+        } else if (error.request) {
+          console.error(`[${name}] Network error - no response from ${url}`);
+        } else {
+          console.error(`[${name}] Error:`, error.message);
+        }
+
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Wait before the next attempt: Retry-After when the server sent one,
+   * otherwise exponential backoff with jitter (50-100% of the capped delay)
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = HttpTranscriptionProvider.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** (attempt - 1));
+    return Math.round(backoff * (0.5 + Math.random() * 0.5));
+  }
+
+  /**
+   * Parse a Retry-After header value
+   * @param {string} value - Delay in seconds or an HTTP date
+   * @returns {number|null} Delay in ms, null if absent or unparseable
+   */
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+      return Math.round(parseFloat(value) * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Timeouts, network/SSL errors, 408, 429 and 5xx are worth another attempt;
+   * other 4xx (bad key, bad request) will fail the same way again
+   */
+  static isRetryable(error) {
+    if (error.response) {
+      const status = error.response.status;
+      return status === 408 || status === 429 || status >= 500;
+    }
+
+    // No response at all: timeout, connection reset, SSL/VPN hiccup
+    return Boolean(error.request) || HttpTranscriptionProvider.isTimeout(error);
+  }
+
+  static isTimeout(error) {
+    return error.code === 'ECONNABORTED' ||
+           error.code === 'ETIMEDOUT' ||
+           Boolean(error.message?.includes('timeout'));
+  }
+
+  static describeError(error) {
+    if (error.response) {
+      return `HTTP ${error.response.status}`;
+    }
+    if (HttpTranscriptionProvider.isTimeout(error)) {
+      return 'Timeout';
+    }
+    return `Network error (${error.code || error.message})`;
+  }
+
+  /**
+   * setTimeout as a promise that rejects early when the signal fires
+   */
+  static sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new axios.CanceledError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Convert an OpenAI-style verbose_json body into a TranscriptionResult.
+   * Segment confidence is exp(avg_logprob); the overall value weights each
+   * segment by its length so a short filler word does not drag it down.
+   * @param {Object} data - verbose_json response body
+   * @returns {TranscriptionResult}
+   */
+  static parseVerboseJson(data) {
+    const segments = (Array.isArray(data?.segments) ? data.segments : []).map(segment => {
+      const entry = {
+        start: segment.start,
+        end: segment.end,
+        text: String(segment.text || '').trim()
+      };
+      if (typeof segment.avg_logprob === 'number') {
+        entry.confidence = Math.exp(segment.avg_logprob);
+      }
+      return entry;
+    });
+
+    let confidence = null;
+    const scored = segments.filter(segment => segment.confidence !== undefined);
+    if (scored.length > 0) {
+      const weight = segment => Math.max(segment.end - segment.start, 0.01);
+      const totalWeight = scored.reduce((sum, segment) => sum + weight(segment), 0);
+      confidence = scored.reduce((sum, segment) => sum + segment.confidence * weight(segment), 0) / totalWeight;
+    }
+
+    return TranscriptionProvider.createResult({
+      text: data?.text || '',
+      language: data?.language || null,
+      duration: typeof data?.duration === 'number' ? data.duration : null,
+      confidence,
+      segments
+    });
+  }
+
+  /**
+   * Get MIME content type for audio format
+   * @param {string} format - Audio format (opus, mp3, wav, etc.)
+   * @returns {string} MIME type
+   */
+  getContentType(format) {
+    const mimeTypes = {
+      'opus': 'audio/ogg', // Opus uses OGG container
+      'ogg': 'audio/ogg',
+      'mp3': 'audio/mpeg',
+      'wav': 'audio/wav',
+      'webm': 'audio/webm',
+      'm4a': 'audio/m4a',
+      'flac': 'audio/flac',
+      'aac': 'audio/aac'
+    };
+    return mimeTypes[format.toLowerCase()] || 'audio/wav';
+  }
+
+  /**
+   * Multipart form with the audio file, named by the recorder's format metadata
+   * @param {Buffer} audioBuffer - Audio data
+   * @returns {{formData: FormData, audioFormat: string, audioExtension: string}}
+   */
+  createAudioForm(audioBuffer) {
+    // Detect audio format from buffer metadata (set by SimpleAudioRecorder compression)
+    const audioFormat = audioBuffer._audioFormat || 'wav';
+    const audioExtension = audioBuffer._audioExtension || 'wav';
+
+    const formData = new FormData();
+    formData.append('file', audioBuffer, {
+      filename: `audio.${audioExtension}`,
+      contentType: this.getContentType(audioFormat)
+    });
+
+    return { formData, audioFormat, audioExtension };
+  }
+}
+
+module.exports = HttpTranscriptionProvider;
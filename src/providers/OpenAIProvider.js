@@ -0,0 +1,164 @@
+const HttpTranscriptionProvider = require('./HttpTranscriptionProvider');
+
+/**
+ * OpenAI-compatible Whisper Transcription Provider
+ * Talks to any server implementing POST {baseUrl}/audio/transcriptions:
+ * OpenAI itself, faster-whisper-server, LocalAI, whisper.cpp server, etc.
+ * Documentation: https://platform.openai.com/docs/api-reference/audio/createTranscription
+ */
+class OpenAIProvider extends HttpTranscriptionProvider {
+  constructor(config, logger = null, sessionId = null) {
+    super(config, logger, sessionId);
+
+    if (!OpenAIProvider.validateConfig(config)) {
+      throw new Error('OpenAI API key is required (or set a base URL for a self-hosted server)');
+    }
+
+    // Self-hosted servers usually run without authentication
+    this.apiKey = config.apiKey || null;
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiUrl = `${this.baseUrl}/audio/transcriptions`;
+    this.model = config.model || 'whisper-1';
+    this.language = config.language; // undefined = auto-detect
+    this.prompt = config.prompt; // Optional context/spelling hint
+    this.responseFormat = config.responseFormat || 'json'; // json, text, verbose_json, srt, vtt
+    this.timeout = config.timeout || 120000; // 2 minutes default
+    this.maxRetries = config.maxRetries || 3;
+
+    if (!OpenAIProvider.responseFormats.includes(this.responseFormat)) {
+      throw new Error(
+        `Unsupported OpenAI response format: ${this.responseFormat}. ` +
+        `Supported: ${OpenAIProvider.responseFormats.join(', ')}`
+      );
+    }
+  }
+
+  static responseFormats = ['json', 'text', 'verbose_json', 'srt', 'vtt'];
+
+  /**
+   * @param {Buffer} audioBuffer - Audio data
+   * @returns {Object} Request for HttpTranscriptionProvider
+   */
+  buildRequest(audioBuffer) {
+    const { formData, audioExtension } = this.createAudioForm(audioBuffer);
+    formData.append('model', this.model);
+    formData.append('response_format', this.responseFormat);
+
+    const bodyMeta = {
+      file: `audio.${audioExtension} (${audioBuffer.length} bytes)`,
+      model: this.model,
+      response_format: this.responseFormat
+    };
+
+    if (this.language) {
+      formData.append('language', this.language);
+      bodyMeta.language = this.language;
+    }
+
+    // Configured prompt plus vocabulary terms
+    const prompt = this.buildPrompt(this.prompt);
+    if (prompt) {
+      formData.append('prompt', prompt);
+      bodyMeta.prompt = prompt;
+    }
+
+    const headers = { ...formData.getHeaders() };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return {
+      url: this.apiUrl,
+      data: formData,
+      headers,
+      bodyMeta,
+      // text/srt/vtt come back as plain text; keep them as strings
+      responseType: this.responseFormat.endsWith('json') ? 'json' : 'text'
+    };
+  }
+
+  parseResponse(response) {
+    return OpenAIProvider.extractText(response.data, this.responseFormat);
+  }
+
+  /**
+   * Segments, language and confidence come only with
+   * OPENAI_RESPONSE_FORMAT=verbose_json (not every model supports it)
+   */
+  parseDetailedResponse(response) {
+    if (this.responseFormat === 'verbose_json') {
+      return HttpTranscriptionProvider.parseVerboseJson(response.data);
+    }
+    return super.parseDetailedResponse(response);
+  }
+
+  /**
+   * Pull plain text out of any response_format
+   * @param {Object|string} data - Response body
+   * @param {string} responseFormat - Requested response_format
+   * @returns {string}
+   */
+  static extractText(data, responseFormat) {
+    if (data && typeof data === 'object') {
+      return data.text || '';
+    }
+
+    const body = String(data || '');
+
+    if (responseFormat === 'srt' || responseFormat === 'vtt') {
+      // Keep cue text only: drop the WEBVTT header, cue numbers and timings
+      return body
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line &&
+          line !== 'WEBVTT' &&
+          !/^\d+$/.test(line) &&
+          !line.includes('-->'))
+        .join(' ');
+    }
+
+    return body;
+  }
+
+  static validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return false;
+    }
+
+    const hasApiKey = typeof config.apiKey === 'string' && config.apiKey.trim().length > 0;
+    const hasBaseUrl = typeof config.baseUrl === 'string' && config.baseUrl.trim().length > 0;
+
+    // OpenAI needs a key; a custom base URL means a self-hosted server that may not
+    return hasApiKey || hasBaseUrl;
+  }
+
+  static getProviderName() {
+    return 'OpenAI';
+  }
+
+  static getRequirements() {
+    return {
+      name: this.getProviderName(),
+      configKeys: ['OPENAI_API_KEY'],
+      optionalKeys: [
+        'OPENAI_BASE_URL',
+        'OPENAI_MODEL',
+        'OPENAI_LANGUAGE',
+        'OPENAI_PROMPT',
+        'OPENAI_RESPONSE_FORMAT',
+        'OPENAI_TIMEOUT',
+        'OPENAI_MAX_RETRIES',
+        'TRANSCRIPTION_DEADLINE'
+      ],
+      documentation:
+        'OpenAI Whisper API or any OpenAI-compatible server\n' +
+        'Get API key from https://platform.openai.com/api-keys\n' +
+        'Self-hosted (faster-whisper-server, LocalAI, whisper.cpp server): set\n' +
+        'OPENAI_BASE_URL=http://localhost:8000/v1 - the API key is then optional\n' +
+        'Models: whisper-1 (default), gpt-4o-transcribe, or the server\'s model name\n' +
+        'OPENAI_RESPONSE_FORMAT: json (default), text, verbose_json, srt, vtt'
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -1,5 +1,5 @@
 const TranscriptionProvider = require('./TranscriptionProvider');
-const { spawn } = require('child_process');
+const SherpaOnnxWorkerClient = require('./SherpaOnnxWorkerClient');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -19,13 +19,13 @@ const os = require('os');
  *   3. Set PARAKEET_MODEL_PATH in .env
  *   4. Set LD_LIBRARY_PATH (add to run.sh or .bashrc)
  *
+ * Other sherpa-onnx offline models (NeMo CTC, Whisper ONNX, SenseVoice) load
+ * through PARAKEET_MODEL_TYPE; see modelTypes below.
+ *
  * Important: Model stays loaded in RAM for fast subsequent transcriptions!
+ * Decoding runs in a worker thread (SherpaOnnxWorker.js), one request at a time.
  */
 
-// Singleton recognizer - keeps model in RAM
-let recognizerInstance = null;
-let recognizerModelPath = null;
-
 class ParakeetV3Provider extends TranscriptionProvider {
   constructor(config, logger = null, sessionId = null) {
     super(config, logger, sessionId);
@@ -52,89 +52,207 @@ class ParakeetV3Provider extends TranscriptionProvider {
       );
     }
 
-    // Define model file paths for verification
-    this.encoderPath = path.join(this.modelPath, 'encoder.int8.onnx');
-    this.decoderPath = path.join(this.modelPath, 'decoder.int8.onnx');
-    this.joinerPath = path.join(this.modelPath, 'joiner.int8.onnx');
-    this.tokensPath = path.join(this.modelPath, 'tokens.txt');
+    // Which sherpa-onnx offline model layout the directory holds
+    this.modelType = (config.modelType || 'transducer').toLowerCase();
+    if (!ParakeetV3Provider.modelTypes[this.modelType]) {
+      throw new Error(
+        `Unsupported sherpa-onnx model type: ${this.modelType}. ` +
+        `Supported: ${Object.keys(ParakeetV3Provider.modelTypes).join(', ')}`
+      );
+    }
 
-    // Verify all model files exist
-    this._verifyModelFiles();
+    // Resolve and verify all model files
+    this.modelFiles = this._resolveModelFiles();
 
     // Number of threads for CPU inference
     this.numThreads = config.numThreads || 4;
 
-    // Lazy load sherpa-onnx-node
-    this.sherpa = null;
+    // Whisper / SenseVoice language ('' / 'auto' = detect)
+    this.language = config.language || '';
+
+    // Vocabulary hotwords need the model's BPE vocabulary to tokenize the terms
+    this.bpeVocabPath = config.bpeVocabPath || path.join(this.modelPath, 'bpe.vocab');
+    this.hotwordsScore = config.hotwordsScore || 1.5;
+    this.hotwordsFile = null; // Private to this instance, created on first use
+    this._disposeOnExit = () => this.dispose();
+    this._warnedNoBpeVocab = false;
+
+    // Decoding runs in a worker thread shared by all instances; the model stays loaded there
+    this.workerClient = config.workerClient || SherpaOnnxWorkerClient.shared();
   }
 
   /**
-   * Verify all required model files exist
+   * Supported sherpa-onnx offline model layouts.
+   * files: candidate names per role, first match wins ("*" matches a prefix,
+   * e.g. Whisper exports are named tiny.en-encoder.int8.onnx)
+   */
+  static modelTypes = {
+    // Parakeet TDT and other NeMo/icefall transducers (default)
+    transducer: {
+      files: {
+        encoder: ['encoder.int8.onnx', 'encoder.onnx'],
+        decoder: ['decoder.int8.onnx', 'decoder.onnx'],
+        joiner: ['joiner.int8.onnx', 'joiner.onnx'],
+        tokens: ['tokens.txt']
+      },
+      modelConfig: (files) => ({
+        transducer: { encoder: files.encoder, decoder: files.decoder, joiner: files.joiner }
+      })
+    },
+    // Parakeet CTC and other NeMo CTC models
+    nemo_ctc: {
+      files: {
+        model: ['model.int8.onnx', 'model.onnx'],
+        tokens: ['tokens.txt']
+      },
+      modelConfig: (files) => ({ nemoCtc: { model: files.model } })
+    },
+    // Whisper exported to ONNX (sherpa-onnx-whisper-*)
+    whisper: {
+      files: {
+        encoder: ['*-encoder.int8.onnx', '*-encoder.onnx'],
+        decoder: ['*-decoder.int8.onnx', '*-decoder.onnx'],
+        tokens: ['*-tokens.txt', 'tokens.txt']
+      },
+      modelConfig: (files, language) => ({
+        whisper: { encoder: files.encoder, decoder: files.decoder, language, task: 'transcribe', tailPaddings: -1 }
+      })
+    },
+    // SenseVoice (zh/en/ja/ko/yue)
+    sense_voice: {
+      files: {
+        model: ['model.int8.onnx', 'model.onnx'],
+        tokens: ['tokens.txt']
+      },
+      modelConfig: (files, language) => ({
+        senseVoice: { model: files.model, language: language || 'auto', useInverseTextNormalization: 1 }
+      })
+    }
+  };
+
+  /**
+   * Find each model file of a layout in a model directory
+   * @param {string} modelPath - Model directory
+   * @param {string} modelType - Key of modelTypes
+   * @returns {{files: Object, missing: string[]}} files: absolute path per role
+   *   (encoder, tokens, ...); missing: descriptions of roles with no match
+   */
+  static findModelFiles(modelPath, modelType) {
+    const layout = ParakeetV3Provider.modelTypes[modelType];
+    const entries = fs.readdirSync(modelPath);
+    const files = {};
+    const missing = [];
+
+    for (const [role, candidates] of Object.entries(layout.files)) {
+      const match = candidates
+        .map(candidate => candidate.startsWith('*')
+          ? entries.find(entry => entry.endsWith(candidate.slice(1)))
+          : entries.find(entry => entry === candidate))
+        .find(Boolean);
+
+      if (match) {
+        files[role] = path.join(modelPath, match);
+      } else {
+        missing.push(candidates.join(' or '));
+      }
+    }
+
+    return { files, missing };
+  }
+
+  /**
+   * Resolve and verify the model files of this.modelType
+   * @returns {Object} Absolute path per role
    * @private
    */
-  _verifyModelFiles() {
-    const requiredFiles = [
-      { path: this.encoderPath, name: 'encoder.int8.onnx' },
-      { path: this.decoderPath, name: 'decoder.int8.onnx' },
-      { path: this.joinerPath, name: 'joiner.int8.onnx' },
-      { path: this.tokensPath, name: 'tokens.txt' }
-    ];
-
-    const missing = requiredFiles.filter(f => !fs.existsSync(f.path));
+  _resolveModelFiles() {
+    const { files, missing } = ParakeetV3Provider.findModelFiles(this.modelPath, this.modelType);
+
     if (missing.length > 0) {
       throw new Error(
-        `Missing model files in ${this.modelPath}:\n` +
-        missing.map(f => `  - ${f.name}`).join('\n')
+        `Missing model files in ${this.modelPath} (model type ${this.modelType}):\n` +
+        missing.map(name => `  - ${name}`).join('\n')
       );
     }
+
+    return files;
   }
 
   /**
-   * Get or create singleton recognizer (keeps model in RAM)
+   * Hotwords file contents for the current vocabulary (one term per line),
+   * or null when there is no vocabulary or the model cannot use it
    * @private
    */
-  _getRecognizer() {
-    // Return cached recognizer if model path matches
-    if (recognizerInstance && recognizerModelPath === this.modelPath) {
-      return recognizerInstance;
+  _getHotwords() {
+    if (this.vocabulary.length === 0) {
+      return null;
     }
 
-    // Load sherpa-onnx-node
-    if (!this.sherpa) {
-      try {
-        this.sherpa = require('sherpa-onnx-node');
-      } catch (error) {
-        throw new Error(
-          'sherpa-onnx-node not installed or LD_LIBRARY_PATH not set.\n' +
-          'Install with: npm install sherpa-onnx-node sherpa-onnx-linux-x64\n' +
-          'Then set: export LD_LIBRARY_PATH=./node_modules/sherpa-onnx-linux-x64:$LD_LIBRARY_PATH\n\n' +
-          `Original error: ${error.message}`
+    // sherpa-onnx only biases transducers (modified beam search)
+    if (this.modelType !== 'transducer' || !fs.existsSync(this.bpeVocabPath)) {
+      if (!this._warnedNoBpeVocab) {
+        console.warn(
+          `[${ParakeetV3Provider.getProviderName()}] Vocabulary hotwords skipped: ` +
+          (this.modelType !== 'transducer'
+            ? `not supported for ${this.modelType} models`
+            : `${this.bpeVocabPath} not found (export it from the model's SentencePiece model or set PARAKEET_BPE_VOCAB)`)
         );
+        this._warnedNoBpeVocab = true;
       }
+      return null;
     }
 
-    console.log(`[${ParakeetV3Provider.getProviderName()}] Loading model from ${this.modelPath}...`);
-    console.log(`[${ParakeetV3Provider.getProviderName()}] Using ${this.numThreads} CPU threads`);
+    return this.vocabulary.join('\n') + '\n';
+  }
+
+  /**
+   * sherpa-onnx OfflineRecognizer config for this model.
+   * The worker rebuilds its recognizer whenever this changes (e.g. new hotwords).
+   * @returns {Object}
+   */
+  buildRecognizerConfig() {
+    const layout = ParakeetV3Provider.modelTypes[this.modelType];
 
     const config = {
       modelConfig: {
-        transducer: {
-          encoder: this.encoderPath,
-          decoder: this.decoderPath,
-          joiner: this.joinerPath,
-        },
-        tokens: this.tokensPath,
+        ...layout.modelConfig(this.modelFiles, this.language),
+        tokens: this.modelFiles.tokens,
         numThreads: this.numThreads,
         debug: 0,
       },
     };
 
-    recognizerInstance = new this.sherpa.OfflineRecognizer(config);
-    recognizerModelPath = this.modelPath;
+    const hotwords = this._getHotwords();
+    if (hotwords) {
+      // The daemon, one-shot runs and `vocabulary reload` must not share a file
+      if (!this.hotwordsFile) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-input-parakeet-'));
+        this.hotwordsFile = path.join(dir, 'hotwords.txt');
+        process.once('exit', this._disposeOnExit);
+      }
+
+      // Contextual biasing only works with beam search
+      fs.writeFileSync(this.hotwordsFile, hotwords);
+      config.modelConfig.modelingUnit = 'bpe';
+      config.modelConfig.bpeVocab = this.bpeVocabPath;
+      config.decodingMethod = 'modified_beam_search';
+      config.maxActivePaths = 4;
+      config.hotwordsFile = this.hotwordsFile;
+      config.hotwordsScore = this.hotwordsScore;
+    }
 
-    console.log(`[${ParakeetV3Provider.getProviderName()}] Model loaded and cached in RAM`);
+    return config;
+  }
 
-    return recognizerInstance;
+  /**
+   * Remove the hotwords file; also runs at process exit
+   */
+  dispose() {
+    if (this.hotwordsFile) {
+      fs.rmSync(path.dirname(this.hotwordsFile), { recursive: true, force: true });
+      this.hotwordsFile = null;
+      process.removeListener('exit', this._disposeOnExit);
+    }
   }
 
   /**
@@ -203,54 +321,42 @@ class ParakeetV3Provider extends TranscriptionProvider {
   }
 
   /**
-   * Convert compressed audio (Opus/MP3) to WAV using ffmpeg
-   * @param {Buffer} audioBuffer - Compressed audio buffer
-   * @param {string} format - Audio format (opus, mp3, ogg)
-   * @returns {Promise<Buffer>} WAV audio buffer
-   * @private
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Drops the request if it is still queued
+   * @returns {Promise<string>}
    */
-  async _convertToWav(audioBuffer, format) {
-    return new Promise((resolve, reject) => {
-      const ext = format === 'opus' ? 'ogg' : format;
-      const inputPath = path.join(os.tmpdir(), `parakeet-input-${Date.now()}.${ext}`);
-      const outputPath = path.join(os.tmpdir(), `parakeet-output-${Date.now()}.wav`);
-
-      // Write compressed audio to temp file
-      fs.writeFileSync(inputPath, audioBuffer);
-
-      console.log(`[${ParakeetV3Provider.getProviderName()}] Converting ${format.toUpperCase()} → WAV...`);
-
-      const ffmpeg = spawn('ffmpeg', [
-        '-i', inputPath,
-        '-ar', '16000',  // 16kHz sample rate
-        '-ac', '1',      // Mono
-        '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11',  // Normalize audio for better recognition
-        '-f', 'wav',
-        '-y',
-        outputPath
-      ], { stdio: ['ignore', 'pipe', 'pipe'] });
-
-      ffmpeg.on('error', (error) => {
-        fs.unlinkSync(inputPath);
-        reject(new Error(`ffmpeg error: ${error.message}`));
-      });
-
-      ffmpeg.on('exit', (code) => {
-        // Cleanup input
-        try { fs.unlinkSync(inputPath); } catch (e) {}
-
-        if (code === 0 && fs.existsSync(outputPath)) {
-          const wavBuffer = fs.readFileSync(outputPath);
-          try { fs.unlinkSync(outputPath); } catch (e) {}
-          resolve(wavBuffer);
-        } else {
-          reject(new Error(`ffmpeg exited with code ${code}`));
-        }
-      });
+  async transcribe(audioBuffer, options = {}) {
+    const { text } = await this._recognize(audioBuffer, options.signal);
+    return text;
+  }
+
+  /**
+   * Same as transcribe(), plus sentence segments timed from sherpa-onnx token timestamps
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} [options] - Same as transcribe()
+   * @returns {Promise<TranscriptionResult>}
+   */
+  async transcribeDetailed(audioBuffer, options = {}) {
+    const { text, result, duration } = await this._recognize(audioBuffer, options.signal);
+
+    return TranscriptionProvider.createResult({
+      text,
+      language: result.lang || null,
+      duration,
+      segments: text ? ParakeetV3Provider.buildSegments(result, duration) : [],
+      provider: ParakeetV3Provider.getProviderName()
     });
   }
 
-  async transcribe(audioBuffer) {
+  /**
+   * Decode audio in the sherpa-onnx worker thread
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{text: string, result: Object, duration: number}>} result is sherpa-onnx's raw result
+   * @private
+   */
+  async _recognize(audioBuffer, signal) {
     if (!audioBuffer || audioBuffer.length === 0) {
       throw new Error('Audio buffer is required and cannot be empty');
     }
@@ -264,46 +370,107 @@ class ParakeetV3Provider extends TranscriptionProvider {
       wavBuffer = await this._convertToWav(audioBuffer, audioFormat);
     }
 
+    const name = ParakeetV3Provider.getProviderName();
     const startTime = Date.now();
     const fileSizeKB = (wavBuffer.length / 1024).toFixed(1);
 
-    console.log(`[${ParakeetV3Provider.getProviderName()}] Transcribing ${fileSizeKB} KB audio on CPU...`);
+    console.log(`[${name}] Transcribing ${fileSizeKB} KB audio on CPU (${this.modelType})...`);
 
     try {
-      // Get recognizer (from cache or create new)
-      const recognizer = this._getRecognizer();
-
       // Parse WAV buffer
       const { samples, sampleRate } = this._wavBufferToSamples(wavBuffer);
+      const duration = samples.length / sampleRate;
+
+      if (this.workerClient.pending > 0) {
+        console.log(`[${name}] Waiting for ${this.workerClient.pending} earlier request(s)...`);
+      }
 
-      // Create stream and process
-      const stream = recognizer.createStream();
-      stream.acceptWaveform({ samples, sampleRate });
+      const { result, loadMs, queuedMs } = await this.workerClient.decode(
+        this.buildRecognizerConfig(),
+        samples,
+        sampleRate,
+        signal
+      );
 
-      // Decode
-      recognizer.decode(stream);
+      if (loadMs !== null) {
+        console.log(`[${name}] Model loaded in ${loadMs}ms (cached in worker for next use)`);
+      }
 
-      // Get result
-      const result = recognizer.getResult(stream);
       const transcription = result.text ? result.text.trim() : '';
 
       const elapsed = Date.now() - startTime;
-      console.log(`[${ParakeetV3Provider.getProviderName()}] Completed in ${elapsed}ms`);
+      console.log(`[${name}] Completed in ${elapsed}ms${queuedMs > 0 ? ` (${queuedMs}ms queued)` : ''}`);
 
       if (!transcription) {
-        console.warn(`[${ParakeetV3Provider.getProviderName()}] Empty transcription result`);
-        return '';
+        console.warn(`[${name}] Empty transcription result`);
+        return { text: '', result, duration };
       }
 
-      console.log(`[${ParakeetV3Provider.getProviderName()}] Transcribed: "${transcription}"`);
-      return transcription;
+      console.log(`[${name}] Transcribed: "${transcription}"`);
+      return { text: transcription, result, duration };
 
     } catch (error) {
-      console.error(`[${ParakeetV3Provider.getProviderName()}] Transcription error:`, error.message);
+      console.error(`[${name}] Transcription error:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Group sherpa-onnx tokens into sentence segments.
+   * Parakeet punctuates its output, so a token ending in . ! ? closes a segment.
+   * A token ends where the next one starts (or after its TDT duration when given).
+   * @param {Object} result - sherpa-onnx result with tokens[] and timestamps[] (seconds)
+   * @param {number} duration - Audio length in seconds
+   * @returns {Array<{start: number, end: number, text: string}>}
+   */
+  static buildSegments(result, duration) {
+    const tokens = Array.isArray(result.tokens) ? result.tokens : [];
+    const timestamps = Array.isArray(result.timestamps) ? result.timestamps : [];
+    const durations = Array.isArray(result.durations) ? result.durations : [];
+
+    if (tokens.length === 0 || tokens.length !== timestamps.length) {
+      return [];
+    }
+
+    const round = seconds => Math.round(seconds * 1000) / 1000;
+    const segments = [];
+    let current = null;
+
+    const close = () => {
+      const text = current.text.replace(/\s+/g, ' ').trim();
+      if (text) {
+        segments.push({ start: round(current.start), end: round(current.end), text });
+      }
+      current = null;
+    };
+
+    tokens.forEach((token, index) => {
+      const start = timestamps[index];
+      const end = durations[index] > 0
+        ? start + durations[index]
+        : (index + 1 < timestamps.length ? timestamps[index + 1] : duration);
+
+      // SentencePiece marks word starts with ▁
+      const piece = token.replace(/\u2581/g, ' ');
+
+      if (!current) {
+        current = { start, end, text: '' };
+      }
+      current.text += piece;
+      current.end = Math.max(current.end, end);
+
+      if (/[.!?…]$/.test(piece.trim())) {
+        close();
+      }
+    });
+
+    if (current) {
+      close();
+    }
+
+    return segments;
+  }
+
   static validateConfig(config) {
     if (!config || typeof config !== 'object') {
       return false;
@@ -324,7 +491,7 @@ class ParakeetV3Provider extends TranscriptionProvider {
     return {
       name: this.getProviderName(),
       configKeys: ['PARAKEET_MODEL_PATH'],
-      optionalKeys: ['PARAKEET_NUM_THREADS'],
+      optionalKeys: ['PARAKEET_MODEL_TYPE', 'PARAKEET_LANGUAGE', 'PARAKEET_NUM_THREADS', 'PARAKEET_BPE_VOCAB', 'PARAKEET_HOTWORDS_SCORE'],
       documentation:
         'Local CPU transcription using Parakeet V3 (nvidia/parakeet-tdt-0.6b-v3)\n' +
         'Supports 25 European languages. Model stays in RAM for fast transcription!\n\n' +
@@ -342,6 +509,10 @@ class ParakeetV3Provider extends TranscriptionProvider {
         '  4. Set LD_LIBRARY_PATH before running:\n' +
         '     export LD_LIBRARY_PATH=./node_modules/sherpa-onnx-linux-x64:$LD_LIBRARY_PATH\n' +
         '     node index.js\n\n' +
+        'Other sherpa-onnx offline models work too: set PARAKEET_MODEL_TYPE to\n' +
+        'transducer (default), nemo_ctc, whisper or sense_voice, and\n' +
+        'PARAKEET_LANGUAGE for Whisper/SenseVoice (empty = auto-detect).\n' +
+        'Decoding runs in a worker thread, so long files do not block the daemon.\n\n' +
         'Note: Requires WAV input (compression must be disabled)'
     };
   }
@@ -1,6 +1,10 @@
 const NexaraProvider = require('./NexaraProvider');
 const PalatineProvider = require('./PalatineProvider');
 const ParakeetV3Provider = require('./ParakeetV3Provider');
+const OpenAIProvider = require('./OpenAIProvider');
+const WhisperCppProvider = require('./WhisperCppProvider');
+const FallbackProvider = require('./FallbackProvider');
+const RaceProvider = require('./RaceProvider');
 
 /**
  * Factory for creating transcription providers
@@ -10,8 +14,9 @@ class ProviderFactory {
     'nexara': NexaraProvider,
     'palatine': PalatineProvider,
     'parakeetv3': ParakeetV3Provider,
+    'openai': OpenAIProvider,
+    'whispercpp': WhisperCppProvider,
     // Add more providers here as they are implemented
-    // 'openai': OpenAIProvider,
     // 'assemblyai': AssemblyAIProvider,
     // 'deepgram': DeepgramProvider,
   };
@@ -52,6 +57,88 @@ class ProviderFactory {
     return new ProviderClass(config, logger, sessionId);
   }
 
+  /**
+   * Split a TRANSCRIPTION_PROVIDER value into provider names
+   * @param {string} value - e.g. "palatine" or "palatine,nexara,parakeetv3"
+   * @returns {string[]}
+   */
+  static parseProviderList(value) {
+    return String(value || '')
+      .split(',')
+      .map(name => name.toLowerCase().trim())
+      .filter(Boolean);
+  }
+
+  static strategies = {
+    'fallback': FallbackProvider,
+    'race': RaceProvider
+  };
+
+  /**
+   * Create the provider(s) named in TRANSCRIPTION_PROVIDER with config from env.
+   * A comma-separated list is combined by TRANSCRIPTION_STRATEGY: fallback
+   * (default) tries each in order, race runs them in parallel and takes the
+   * first result. List members that are not configured are skipped with a warning.
+   * @param {string} providerName - Provider name or comma-separated list
+   * @param {Object} env - Environment variables
+   * @param {Object} logger - Logger instance (optional)
+   * @param {string} sessionId - Session ID for logging (optional)
+   * @returns {TranscriptionProvider}
+   */
+  static createFromEnv(providerName, env, logger = null, sessionId = null) {
+    const names = this.parseProviderList(providerName);
+
+    if (names.length === 0) {
+      throw new Error(`No transcription provider named in "${providerName}"`);
+    }
+
+    // "openai," or " openai " is still a single provider
+    if (names.length === 1) {
+      return this.create(names[0], this._buildConfigFromEnv(names[0], env), logger, sessionId);
+    }
+
+    const strategy = (env.TRANSCRIPTION_STRATEGY || 'fallback').toLowerCase().trim();
+    const StrategyClass = this.strategies[strategy];
+    if (!StrategyClass) {
+      throw new Error(
+        `Unknown transcription strategy: "${env.TRANSCRIPTION_STRATEGY}". ` +
+        `Available strategies: ${Object.keys(this.strategies).join(', ')}`
+      );
+    }
+
+    const unknown = names.filter(name => !this.providers[name]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown transcription provider(s) in "${providerName}": ${unknown.join(', ')}. ` +
+        `Available providers: ${this.getAvailableProviders().join(', ')}`
+      );
+    }
+
+    const providers = [];
+    const skipped = [];
+
+    for (const name of names) {
+      try {
+        providers.push({
+          name,
+          provider: this.create(name, this._buildConfigFromEnv(name, env), logger, sessionId)
+        });
+      } catch (error) {
+        console.warn(`⚠️ Skipping ${name} in provider ${strategy}: ${error.message}`);
+        skipped.push(`${name} (${error.message})`);
+      }
+    }
+
+    if (providers.length === 0) {
+      throw new Error(`No provider in "${providerName}" is configured: ${skipped.join('; ')}`);
+    }
+
+    return new StrategyClass({
+      providers,
+      timeout: env.TRANSCRIPTION_PROVIDER_TIMEOUT ? parseInt(env.TRANSCRIPTION_PROVIDER_TIMEOUT) : undefined
+    }, logger, sessionId);
+  }
+
   /**
    * Get list of available providers
    * @returns {string[]}
@@ -116,50 +203,56 @@ class ProviderFactory {
     const providerName = env.TRANSCRIPTION_PROVIDER || env.PROVIDER;
 
     if (providerName) {
-      // Use explicitly specified provider
-      const config = this._buildConfigFromEnv(providerName, env);
-      return this.create(providerName, config, logger, sessionId);
+      // Use explicitly specified provider (or fallback chain)
+      return this.createFromEnv(providerName, env, logger, sessionId);
     }
 
+    const detectedName = this.detectProviderName(env);
+    if (detectedName) {
+      return this.create(detectedName, this._buildConfigFromEnv(detectedName, env), logger, sessionId);
+    }
+
+    throw new Error(
+      'No transcription provider configured. ' +
+      'Set TRANSCRIPTION_PROVIDER in .env or provide a valid API key. ' +
+      `Available providers: ${this.getAvailableProviders().join(', ')}`
+    );
+  }
+
+  /**
+   * Name of the provider autoDetect() picks when TRANSCRIPTION_PROVIDER is not set
+   * @param {Object} env - Environment variables
+   * @returns {string|null}
+   */
+  static detectProviderName(env) {
     // Try to auto-detect based on available API keys
     if (env.PALATINE_API_KEY) {
-      return this.create('palatine', {
-        apiKey: env.PALATINE_API_KEY,
-        apiUrl: env.PALATINE_API_URL,
-        model: env.PALATINE_MODEL,
-        language: env.PALATINE_LANGUAGE,
-        timeout: env.PALATINE_TIMEOUT ? parseInt(env.PALATINE_TIMEOUT) : undefined,
-        maxRetries: env.PALATINE_MAX_RETRIES ? parseInt(env.PALATINE_MAX_RETRIES) : undefined
-      }, logger, sessionId);
+      return 'palatine';
     }
 
     if (env.NEXARA_API_KEY) {
-      return this.create('nexara', {
-        apiKey: env.NEXARA_API_KEY,
-        apiUrl: env.NEXARA_API_URL,
-        model: env.NEXARA_MODEL,
-        timeout: env.NEXARA_TIMEOUT ? parseInt(env.NEXARA_TIMEOUT) : undefined,
-        maxRetries: env.NEXARA_MAX_RETRIES ? parseInt(env.NEXARA_MAX_RETRIES) : undefined
-      }, logger, sessionId);
+      return 'nexara';
     }
 
     // Parakeet V3 - local CPU transcription
     if (env.PARAKEET_MODEL_PATH) {
-      return this.create('parakeetv3', {
-        modelPath: env.PARAKEET_MODEL_PATH,
-        numThreads: env.PARAKEET_NUM_THREADS ? parseInt(env.PARAKEET_NUM_THREADS) : undefined
-      }, logger, sessionId);
+      return 'parakeetv3';
+    }
+
+    // whisper.cpp - local CPU transcription
+    if (env.WHISPER_CPP_MODEL_PATH) {
+      return 'whispercpp';
+    }
+
+    // OpenAI or a self-hosted OpenAI-compatible server
+    if (env.OPENAI_API_KEY || env.OPENAI_BASE_URL) {
+      return 'openai';
     }
 
     // Add more auto-detection logic here for other providers
-    // if (env.OPENAI_API_KEY) { ... }
     // if (env.ASSEMBLYAI_API_KEY) { ... }
 
-    throw new Error(
-      'No transcription provider configured. ' +
-      'Set TRANSCRIPTION_PROVIDER in .env or provide a valid API key. ' +
-      `Available providers: ${this.getAvailableProviders().join(', ')}`
-    );
+    return null;
   }
 
   /**
@@ -169,6 +262,9 @@ class ProviderFactory {
   static _buildConfigFromEnv(providerName, env) {
     const normalizedName = providerName.toLowerCase().trim();
 
+    // Overall time budget shared by the HTTP providers (retries included)
+    const deadline = env.TRANSCRIPTION_DEADLINE ? parseInt(env.TRANSCRIPTION_DEADLINE) : undefined;
+
     // Provider-specific configuration mapping
     const configMaps = {
       palatine: {
@@ -177,18 +273,43 @@ class ProviderFactory {
         model: env.PALATINE_MODEL,
         language: env.PALATINE_LANGUAGE,
         timeout: env.PALATINE_TIMEOUT ? parseInt(env.PALATINE_TIMEOUT) : undefined,
-        maxRetries: env.PALATINE_MAX_RETRIES ? parseInt(env.PALATINE_MAX_RETRIES) : undefined
+        maxRetries: env.PALATINE_MAX_RETRIES ? parseInt(env.PALATINE_MAX_RETRIES) : undefined,
+        deadline
       },
       nexara: {
         apiKey: env.NEXARA_API_KEY,
         apiUrl: env.NEXARA_API_URL,
         model: env.NEXARA_MODEL,
         timeout: env.NEXARA_TIMEOUT ? parseInt(env.NEXARA_TIMEOUT) : undefined,
-        maxRetries: env.NEXARA_MAX_RETRIES ? parseInt(env.NEXARA_MAX_RETRIES) : undefined
+        maxRetries: env.NEXARA_MAX_RETRIES ? parseInt(env.NEXARA_MAX_RETRIES) : undefined,
+        deadline
       },
       parakeetv3: {
         modelPath: env.PARAKEET_MODEL_PATH,
-        numThreads: env.PARAKEET_NUM_THREADS ? parseInt(env.PARAKEET_NUM_THREADS) : undefined
+        modelType: env.PARAKEET_MODEL_TYPE,
+        language: env.PARAKEET_LANGUAGE,
+        numThreads: env.PARAKEET_NUM_THREADS ? parseInt(env.PARAKEET_NUM_THREADS) : undefined,
+        bpeVocabPath: env.PARAKEET_BPE_VOCAB,
+        hotwordsScore: env.PARAKEET_HOTWORDS_SCORE ? parseFloat(env.PARAKEET_HOTWORDS_SCORE) : undefined
+      },
+      openai: {
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL,
+        model: env.OPENAI_MODEL,
+        language: env.OPENAI_LANGUAGE,
+        prompt: env.OPENAI_PROMPT,
+        responseFormat: env.OPENAI_RESPONSE_FORMAT,
+        timeout: env.OPENAI_TIMEOUT ? parseInt(env.OPENAI_TIMEOUT) : undefined,
+        maxRetries: env.OPENAI_MAX_RETRIES ? parseInt(env.OPENAI_MAX_RETRIES) : undefined,
+        deadline
+      },
+      whispercpp: {
+        modelPath: env.WHISPER_CPP_MODEL_PATH,
+        binaryPath: env.WHISPER_CPP_BINARY,
+        language: env.WHISPER_CPP_LANGUAGE,
+        numThreads: env.WHISPER_CPP_THREADS ? parseInt(env.WHISPER_CPP_THREADS) : undefined,
+        prompt: env.WHISPER_CPP_PROMPT,
+        timeout: env.WHISPER_CPP_TIMEOUT ? parseInt(env.WHISPER_CPP_TIMEOUT) : undefined
       }
       // Add more provider configs here
     };
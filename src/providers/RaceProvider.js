@@ -0,0 +1,155 @@
+const TranscriptionProvider = require('./TranscriptionProvider');
+
+/**
+ * Race Transcription Provider
+ * Sends the same audio to every provider in parallel
+ * (TRANSCRIPTION_STRATEGY=race, TRANSCRIPTION_PROVIDER=palatine,nexara,openai).
+ * The first non-empty transcription wins and the other requests are aborted.
+ * Every provider's outcome and timing goes to the session log, so the
+ * fastest provider can be picked from real sessions.
+ */
+class RaceProvider extends TranscriptionProvider {
+  constructor(config, logger = null, sessionId = null) {
+    super(config, logger, sessionId);
+
+    if (!RaceProvider.validateConfig(config)) {
+      throw new Error('Race provider needs at least one provider');
+    }
+
+    this.providers = config.providers; // [{ name, provider }]
+    this.lastProviderName = null;
+  }
+
+  setVocabulary(terms) {
+    super.setVocabulary(terms);
+    this.providers.forEach(entry => entry.provider.setVocabulary(terms));
+  }
+
+  dispose() {
+    this.providers.forEach(entry => entry.provider.dispose());
+  }
+
+  async transcribe(audioBuffer) {
+    return this._race(audioBuffer, false);
+  }
+
+  async transcribeDetailed(audioBuffer) {
+    return this._race(audioBuffer, true);
+  }
+
+  /**
+   * Start every provider and settle with the first non-empty result
+   * @returns {Promise<string|TranscriptionResult>} A result object when detailed
+   * @private
+   */
+  _race(audioBuffer, detailed) {
+    const startTime = Date.now();
+    this.lastProviderName = null;
+
+    // One entry per provider: status is won, empty, failed or cancelled
+    const results = this.providers.map(entry => ({ provider: entry.name, status: 'pending' }));
+    const controllers = this.providers.map(() => new AbortController());
+
+    console.log(`[${RaceProvider.getProviderName()}] Racing ${this.providers.map(entry => entry.name).join(', ')}...`);
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let pending = this.providers.length;
+
+      const logRace = (winner) => {
+        if (this.logger && this.sessionId) {
+          this.logger.logSession(this.sessionId, 'TRANSCRIPTION_RACE', {
+            winner,
+            durationMs: Date.now() - startTime,
+            results
+          });
+        }
+      };
+
+      const onSettled = () => {
+        pending--;
+        if (!settled && pending === 0) {
+          settled = true;
+          logRace(null);
+          reject(new Error(
+            'All raced transcription providers failed: ' +
+            results.map(result => `${result.provider} (${result.error || result.status})`).join('; ')
+          ));
+        }
+      };
+
+      this.providers.forEach((entry, index) => {
+        const result = results[index];
+
+        const options = { signal: controllers[index].signal };
+        const request = detailed
+          ? entry.provider.transcribeDetailed(audioBuffer, options)
+          : entry.provider.transcribe(audioBuffer, options);
+
+        request
+          .then((transcription) => {
+            if (settled) return;
+
+            const text = detailed ? transcription.text : transcription;
+            result.durationMs = Date.now() - startTime;
+
+            if (!text || text.trim().length === 0) {
+              result.status = 'empty';
+              return;
+            }
+
+            settled = true;
+            result.status = 'won';
+            result.text = text;
+            this.lastProviderName = entry.name;
+
+            // Abort the slower requests; their timing is when they were cut off
+            results.forEach((other, otherIndex) => {
+              if (other.status === 'pending') {
+                other.status = 'cancelled';
+                other.durationMs = result.durationMs;
+                controllers[otherIndex].abort();
+              }
+            });
+
+            console.log(`[${RaceProvider.getProviderName()}] ${entry.name} won in ${result.durationMs}ms`);
+            logRace(entry.name);
+            resolve(transcription);
+          }, (error) => {
+            if (settled) return;
+
+            result.durationMs = Date.now() - startTime;
+            result.status = 'failed';
+            result.error = error.message;
+            console.warn(`[${RaceProvider.getProviderName()}] ${entry.name} failed: ${error.message}`);
+          })
+          .finally(onSettled);
+      });
+    });
+  }
+
+  static validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return false;
+    }
+
+    return Array.isArray(config.providers) && config.providers.length > 0;
+  }
+
+  static getProviderName() {
+    return 'Race';
+  }
+
+  static getRequirements() {
+    return {
+      name: this.getProviderName(),
+      configKeys: ['TRANSCRIPTION_PROVIDER', 'TRANSCRIPTION_STRATEGY'],
+      optionalKeys: [],
+      documentation:
+        'Set TRANSCRIPTION_STRATEGY=race and list providers in TRANSCRIPTION_PROVIDER\n' +
+        'All of them transcribe in parallel; the first non-empty result wins'
+    };
+  }
+}
+
+module.exports = RaceProvider;
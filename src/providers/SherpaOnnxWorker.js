@@ -0,0 +1,68 @@
+/**
+ * sherpa-onnx decoding worker (runs in a worker_threads Worker)
+ * Keeps the recognizer loaded between requests and decodes one request at a
+ * time, so a long file never blocks the main thread's signal handling.
+ *
+ * Message in:  { id, recognizerConfig, samples: Float32Array, sampleRate }
+ * Message out: { id, result, loadMs } or { id, error }
+ * loadMs is set only when the request (re)loaded the model.
+ */
+
+const { parentPort } = require('worker_threads');
+const fs = require('fs');
+
+let sherpa = null;
+let recognizer = null;
+let recognizerKey = null; // Config (and hotwords) the recognizer was built with
+
+function loadSherpa() {
+  if (sherpa) {
+    return sherpa;
+  }
+
+  try {
+    sherpa = require('sherpa-onnx-node');
+    return sherpa;
+  } catch (error) {
+    throw new Error(
+      'sherpa-onnx-node not installed or LD_LIBRARY_PATH not set.\n' +
+      'Install with: npm install sherpa-onnx-node sherpa-onnx-linux-x64\n' +
+      'Then set: export LD_LIBRARY_PATH=./node_modules/sherpa-onnx-linux-x64:$LD_LIBRARY_PATH\n\n' +
+      `Original error: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Decode one request, rebuilding the recognizer if its config changed
+ * (other model, threads or hotwords)
+ */
+function decode({ recognizerConfig, samples, sampleRate }) {
+  let loadMs = null;
+  // The hotwords file keeps its name when the vocabulary changes: key on its contents
+  const hotwords = recognizerConfig.hotwordsFile ? fs.readFileSync(recognizerConfig.hotwordsFile, 'utf8') : '';
+  const key = JSON.stringify(recognizerConfig) + hotwords;
+
+  if (!recognizer || recognizerKey !== key) {
+    const startTime = Date.now();
+    recognizer = null;
+    recognizer = new (loadSherpa().OfflineRecognizer)(recognizerConfig);
+    recognizerKey = key;
+    loadMs = Date.now() - startTime;
+  }
+
+  const stream = recognizer.createStream();
+  stream.acceptWaveform({ samples, sampleRate });
+  recognizer.decode(stream);
+
+  return { result: recognizer.getResult(stream), loadMs };
+}
+
+parentPort.on('message', (message) => {
+  try {
+    const { result, loadMs } = decode(message);
+    parentPort.postMessage({ id: message.id, result, loadMs });
+  } catch (error) {
+    parentPort.postMessage({ id: message.id, error: error.message });
+  }
+});
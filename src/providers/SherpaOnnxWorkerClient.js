@@ -0,0 +1,204 @@
+const { Worker } = require('worker_threads');
+const path = require('path');
+
+/**
+ * Main-thread side of SherpaOnnxWorker.js
+ * Requests wait in a FIFO queue and go to the worker one at a time. A
+ * queued request can be cancelled before it starts; a running decode cannot
+ * be interrupted, so cancelling it only drops its result.
+ *
+ * The worker is shared by every provider instance (the model stays in RAM)
+ * and is unref'd while idle, so it never keeps the process alive.
+ */
+class SherpaOnnxWorkerClient {
+  constructor(options = {}) {
+    this.workerPath = options.workerPath || path.join(__dirname, 'SherpaOnnxWorker.js');
+    this.worker = null;
+    this.queue = []; // Jobs waiting for the worker
+    this.active = null; // Job the worker is decoding
+    this.nextId = 1;
+  }
+
+  static _shared = null;
+
+  /**
+   * Client shared by all providers in this process
+   * @returns {SherpaOnnxWorkerClient}
+   */
+  static shared() {
+    if (!SherpaOnnxWorkerClient._shared) {
+      SherpaOnnxWorkerClient._shared = new SherpaOnnxWorkerClient();
+    }
+    return SherpaOnnxWorkerClient._shared;
+  }
+
+  /**
+   * Queue audio for decoding
+   * @param {Object} recognizerConfig - sherpa-onnx OfflineRecognizer config
+   * @param {Float32Array} samples - Mono samples in [-1, 1]
+   * @param {number} sampleRate
+   * @param {AbortSignal} [signal] - Drops the request (or its result)
+   * @returns {Promise<{result: Object, loadMs: number|null, queuedMs: number}>}
+   *   result is sherpa-onnx's raw result; loadMs is set when the model was (re)loaded
+   */
+  decode(recognizerConfig, samples, sampleRate, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('sherpa-onnx decode cancelled'));
+        return;
+      }
+
+      const job = {
+        id: this.nextId++,
+        message: { recognizerConfig, samples, sampleRate },
+        queuedAt: Date.now(),
+        startedAt: null,
+        resolve,
+        reject,
+        signal,
+        onAbort: null,
+        cancelled: false
+      };
+
+      job.onAbort = () => {
+        const index = this.queue.indexOf(job);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          this._updateRef();
+        }
+        // A running job keeps the worker busy; its result is dropped in _onMessage
+        job.cancelled = true;
+        reject(new Error('sherpa-onnx decode cancelled'));
+      };
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+
+      this.queue.push(job);
+      this._pump();
+    });
+  }
+
+  /**
+   * Number of requests waiting or running
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length + (this.active ? 1 : 0);
+  }
+
+  /**
+   * Stop the worker; pending requests are rejected
+   */
+  async terminate() {
+    if (!this.worker) {
+      return;
+    }
+
+    const worker = this.worker;
+    this._fail(new Error('sherpa-onnx worker terminated'));
+    await worker.terminate();
+  }
+
+  /**
+   * @private
+   */
+  _ensureWorker() {
+    if (this.worker) {
+      return this.worker;
+    }
+
+    this.worker = new Worker(this.workerPath);
+    this.worker.on('message', message => this._onMessage(message));
+    this.worker.on('error', error => this._fail(error));
+    this.worker.on('exit', (code) => {
+      if (this.worker) {
+        this._fail(new Error(`sherpa-onnx worker exited with code ${code}`));
+      }
+    });
+
+    return this.worker;
+  }
+
+  /**
+   * Send the next queued job if the worker is idle
+   * @private
+   */
+  _pump() {
+    if (!this.active && this.queue.length > 0) {
+      const job = this.queue.shift();
+      const worker = this._ensureWorker();
+
+      this.active = job;
+      job.startedAt = Date.now();
+
+      // The samples are not needed here again: hand the buffer over instead of copying
+      const { samples } = job.message;
+      worker.postMessage({ id: job.id, ...job.message }, [samples.buffer]);
+    }
+
+    this._updateRef();
+  }
+
+  /**
+   * @private
+   */
+  _onMessage(message) {
+    const job = this.active;
+    if (!job || job.id !== message.id) {
+      return;
+    }
+
+    this.active = null;
+    job.signal?.removeEventListener('abort', job.onAbort);
+
+    if (!job.cancelled) {
+      if (message.error) {
+        job.reject(new Error(message.error));
+      } else {
+        job.resolve({
+          result: message.result,
+          loadMs: message.loadMs,
+          queuedMs: job.startedAt - job.queuedAt
+        });
+      }
+    }
+
+    this._pump();
+  }
+
+  /**
+   * Worker crashed or exited: reject everything and start fresh next time
+   * @private
+   */
+  _fail(error) {
+    const jobs = [...(this.active ? [this.active] : []), ...this.queue];
+
+    this.worker = null;
+    this.active = null;
+    this.queue = [];
+
+    for (const job of jobs) {
+      job.signal?.removeEventListener('abort', job.onAbort);
+      if (!job.cancelled) {
+        job.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Keep the process alive only while there is work
+   * @private
+   */
+  _updateRef() {
+    if (!this.worker) {
+      return;
+    }
+
+    if (this.pending > 0) {
+      this.worker.ref();
+    } else {
+      this.worker.unref();
+    }
+  }
+}
+
+module.exports = SherpaOnnxWorkerClient;
@@ -1,3 +1,19 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+/**
+ * @typedef {Object} TranscriptionResult
+ * @property {string} text - Full transcription (what transcribe() returns)
+ * @property {string|null} language - Detected or forced language, null if unknown
+ * @property {number|null} confidence - 0..1 for the whole recording, null if the provider gives none
+ * @property {number|null} duration - Audio length in seconds, null if unknown
+ * @property {Array<{start: number, end: number, text: string, confidence?: number}>} segments -
+ *   Timed pieces of the text (seconds from the start), empty if the provider gives none
+ * @property {string|null} provider - Name of the provider that produced the text
+ */
+
 /**
  * Abstract base class for transcription providers
  * All transcription services must extend this class
@@ -11,18 +27,149 @@ class TranscriptionProvider {
     this.config = config;
     this.logger = logger;
     this.sessionId = sessionId;
+    this.vocabulary = []; // Terms to bias recognition towards, see setVocabulary()
+  }
+
+  /**
+   * Terms the speaker is likely to use (product names, jargon), passed to the
+   * recognizer up front. Providers with a prompt or hotwords use them from the
+   * next transcription on; the rest ignore them.
+   * @param {string[]} terms
+   */
+  setVocabulary(terms) {
+    this.vocabulary = Array.isArray(terms) ? terms.filter(Boolean) : [];
+  }
+
+  /**
+   * Release per-instance resources (temp files). The provider stays usable
+   * and recreates what it needs on the next transcription.
+   */
+  dispose() {}
+
+  /**
+   * Whisper-style prompt: the configured prompt followed by as many vocabulary
+   * terms as fit. Whisper only reads the last 224 tokens of a prompt, so the
+   * term list is cut at maxLength characters.
+   * @param {string} [basePrompt] - Prompt from the provider's own config
+   * @param {number} [maxLength]
+   * @returns {string|null} null when there is nothing to send
+   */
+  buildPrompt(basePrompt = null, maxLength = 600) {
+    const terms = [];
+    let length = basePrompt ? basePrompt.length : 0;
+
+    for (const term of this.vocabulary) {
+      if (length + term.length + 2 > maxLength) {
+        break;
+      }
+      terms.push(term);
+      length += term.length + 2;
+    }
+
+    const parts = basePrompt ? [basePrompt] : [];
+    if (terms.length > 0) {
+      parts.push(`${terms.join(', ')}.`);
+    }
+
+    return parts.length > 0 ? parts.join(' ') : null;
   }
 
   /**
    * Transcribe audio buffer to text
    * @param {Buffer} audioBuffer - Audio data in WAV format
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Abort in-flight work when fired (optional to honour)
    * @returns {Promise<string>} - Transcribed text
    * @throws {Error} - If transcription fails
    */
-  async transcribe(audioBuffer) {
+  async transcribe(audioBuffer, options = {}) {
     throw new Error('transcribe() must be implemented by subclass');
   }
 
+  /**
+   * Transcribe audio and keep everything the provider knows about it.
+   * Providers without segments/language/confidence get the text-only default.
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} [options] - Same as transcribe()
+   * @returns {Promise<TranscriptionResult>}
+   */
+  async transcribeDetailed(audioBuffer, options = {}) {
+    const text = await this.transcribe(audioBuffer, options);
+    return TranscriptionProvider.createResult({ text, provider: this.constructor.getProviderName() });
+  }
+
+  /**
+   * Convert compressed audio (Opus/MP3) or non-16kHz WAV to the 16kHz mono
+   * 16-bit WAV that local recognizers expect, using ffmpeg
+   * @param {Buffer} audioBuffer - Source audio buffer
+   * @param {string} format - Audio format (opus, mp3, ogg, wav)
+   * @returns {Promise<Buffer>} WAV audio buffer
+   * @protected
+   */
+  async _convertToWav(audioBuffer, format) {
+    const name = this.constructor.getProviderName();
+    const ext = format === 'opus' ? 'ogg' : format;
+
+    // A directory per call: racing local providers convert the same recording in the same tick
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-input-'));
+    const inputPath = path.join(tempDir, `input.${ext}`);
+    const outputPath = path.join(tempDir, 'output.wav');
+
+    try {
+      // Write source audio to temp file
+      fs.writeFileSync(inputPath, audioBuffer);
+
+      console.log(`[${name}] Converting ${format.toUpperCase()} → WAV...`);
+
+      await new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+          '-i', inputPath,
+          '-ar', '16000',  // 16kHz sample rate
+          '-ac', '1',      // Mono
+          '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11',  // Normalize audio for better recognition
+          '-c:a', 'pcm_s16le',
+          '-f', 'wav',
+          '-y',
+          outputPath
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        ffmpeg.on('error', (error) => {
+          reject(new Error(`ffmpeg error: ${error.message}`));
+        });
+
+        ffmpeg.on('exit', (code) => {
+          if (code === 0 && fs.existsSync(outputPath)) {
+            resolve();
+          } else {
+            reject(new Error(`ffmpeg exited with code ${code}`));
+          }
+        });
+      });
+
+      return fs.readFileSync(outputPath);
+
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Build a TranscriptionResult, filling unknown fields with null/empty
+   * @param {Partial<TranscriptionResult>} fields
+   * @returns {TranscriptionResult}
+   */
+  static createResult(fields) {
+    return {
+      text: '',
+      language: null,
+      confidence: null,
+      duration: null,
+      segments: [],
+      provider: null,
+      ...fields
+    };
+  }
+
   /**
    * Validate provider configuration
    * @param {Object} config - Provider configuration
@@ -0,0 +1,255 @@
+const TranscriptionProvider = require('./TranscriptionProvider');
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+/**
+ * whisper.cpp Local Transcription Provider
+ * Runs the whisper.cpp CLI (`whisper-cli`) with a GGML model, fully offline
+ *
+ * Setup:
+ *   1. Build whisper.cpp: https://github.com/ggml-org/whisper.cpp
+ *      (or install a packaged whisper-cli and put it on PATH)
+ *   2. Download a model, e.g. large-v3-turbo for mixed Russian/English:
+ *      ./models/download-ggml-model.sh large-v3-turbo
+ *   3. Set WHISPER_CPP_MODEL_PATH in .env
+ *
+ * Unlike Parakeet, nothing stays in RAM between calls: each transcription
+ * spawns the binary, which loads the model from disk (page cache helps).
+ */
+class WhisperCppProvider extends TranscriptionProvider {
+  constructor(config, logger = null, sessionId = null) {
+    super(config, logger, sessionId);
+
+    // Model path is required
+    this.modelPath = config.modelPath;
+    if (!this.modelPath) {
+      throw new Error('whisper.cpp model path is required. Set WHISPER_CPP_MODEL_PATH in .env');
+    }
+
+    // Resolve to absolute path
+    if (!path.isAbsolute(this.modelPath)) {
+      this.modelPath = path.resolve(process.cwd(), this.modelPath);
+    }
+
+    if (!fs.existsSync(this.modelPath)) {
+      throw new Error(
+        `whisper.cpp model not found at: ${this.modelPath}\n` +
+        'Download a GGML model with (from the whisper.cpp checkout):\n' +
+        '  ./models/download-ggml-model.sh large-v3-turbo'
+      );
+    }
+
+    this.binaryPath = config.binaryPath || 'whisper-cli';
+    this.language = config.language || 'auto'; // 'auto' lets whisper detect per recording
+    this.numThreads = config.numThreads || 4;
+    this.prompt = config.prompt; // Optional initial prompt (names, jargon)
+    this.timeout = config.timeout || 300000; // 5 minutes default
+  }
+
+  /**
+   * True if the buffer is a 16kHz mono 16-bit PCM WAV whisper.cpp can read as-is
+   * @private
+   */
+  _isWhisperReadyWav(audioBuffer) {
+    if (audioBuffer.length < 44 || audioBuffer.toString('ascii', 0, 4) !== 'RIFF') {
+      return false;
+    }
+
+    const audioFormat = audioBuffer.readUInt16LE(20);
+    const numChannels = audioBuffer.readUInt16LE(22);
+    const sampleRate = audioBuffer.readUInt32LE(24);
+    const bitsPerSample = audioBuffer.readUInt16LE(34);
+
+    return audioFormat === 1 && numChannels === 1 && sampleRate === 16000 && bitsPerSample === 16;
+  }
+
+  /**
+   * Arguments for whisper-cli: plain text on stdout, no timestamps or progress
+   * @param {string} wavPath - 16kHz mono WAV input
+   * @returns {string[]}
+   */
+  buildArgs(wavPath) {
+    const args = [
+      '-m', this.modelPath,
+      '-f', wavPath,
+      '-l', this.language,
+      '-t', this.numThreads.toString(),
+      '-nt', // No timestamps
+      '-np'  // No progress/system info, only the transcript
+    ];
+
+    // Configured prompt plus vocabulary terms
+    const prompt = this.buildPrompt(this.prompt);
+    if (prompt) {
+      args.push('--prompt', prompt);
+    }
+
+    return args;
+  }
+
+  /**
+   * Run whisper-cli and collect stdout
+   * @param {string} wavPath - 16kHz mono WAV input
+   * @param {AbortSignal} [signal] - Kills the process when fired
+   * @private
+   */
+  _runWhisper(wavPath, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('whisper.cpp cancelled'));
+        return;
+      }
+
+      const whisper = spawn(this.binaryPath, this.buildArgs(wavPath), {
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      const onAbort = () => {
+        whisper.kill('SIGTERM');
+        reject(new Error('whisper.cpp cancelled'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      let stdout = '';
+      let stderr = '';
+      whisper.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+      whisper.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      const timer = setTimeout(() => {
+        whisper.kill('SIGTERM');
+        reject(new Error(`whisper.cpp timed out after ${this.timeout}ms`));
+      }, this.timeout);
+
+      whisper.on('error', (error) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        if (error.code === 'ENOENT') {
+          reject(new Error(
+            `whisper.cpp binary not found: ${this.binaryPath}\n` +
+            'Build whisper.cpp and set WHISPER_CPP_BINARY to the whisper-cli path'
+          ));
+          return;
+        }
+        reject(new Error(`whisper.cpp error: ${error.message}`));
+      });
+
+      whisper.on('exit', (code) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        if (code === 0) {
+          resolve(stdout);
+        } else {
+          reject(new Error(`whisper.cpp exited with code ${code}: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Kills whisper-cli (race strategy)
+   * @returns {Promise<string>}
+   */
+  async transcribe(audioBuffer, options = {}) {
+    if (!audioBuffer || audioBuffer.length === 0) {
+      throw new Error('Audio buffer is required and cannot be empty');
+    }
+
+    // whisper.cpp only reads 16kHz WAV; convert anything else
+    const audioFormat = audioBuffer._audioFormat || 'wav';
+    let wavBuffer = audioBuffer;
+
+    if (audioFormat !== 'wav' || !this._isWhisperReadyWav(audioBuffer)) {
+      wavBuffer = await this._convertToWav(audioBuffer, audioFormat);
+    }
+
+    const startTime = Date.now();
+    const fileSizeKB = (wavBuffer.length / 1024).toFixed(1);
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-input-'));
+    const wavPath = path.join(tempDir, 'input.wav');
+
+    console.log(`[${WhisperCppProvider.getProviderName()}] Transcribing ${fileSizeKB} KB audio with ${path.basename(this.modelPath)}...`);
+
+    try {
+      fs.writeFileSync(wavPath, wavBuffer);
+      const output = await this._runWhisper(wavPath, options.signal);
+
+      // One line per segment; join into a single paragraph
+      const transcription = output
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join(' ');
+
+      const elapsed = Date.now() - startTime;
+      console.log(`[${WhisperCppProvider.getProviderName()}] Completed in ${elapsed}ms`);
+
+      if (!transcription) {
+        console.warn(`[${WhisperCppProvider.getProviderName()}] Empty transcription result`);
+        return '';
+      }
+
+      console.log(`[${WhisperCppProvider.getProviderName()}] Transcribed: "${transcription}"`);
+      return transcription;
+
+    } catch (error) {
+      console.error(`[${WhisperCppProvider.getProviderName()}] Transcription error:`, error.message);
+      throw error;
+
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  static validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return false;
+    }
+
+    if (!config.modelPath || typeof config.modelPath !== 'string') {
+      return false;
+    }
+
+    return true;
+  }
+
+  static getProviderName() {
+    return 'WhisperCpp';
+  }
+
+  static getRequirements() {
+    return {
+      name: this.getProviderName(),
+      configKeys: ['WHISPER_CPP_MODEL_PATH'],
+      optionalKeys: [
+        'WHISPER_CPP_BINARY',
+        'WHISPER_CPP_LANGUAGE',
+        'WHISPER_CPP_THREADS',
+        'WHISPER_CPP_PROMPT',
+        'WHISPER_CPP_TIMEOUT'
+      ],
+      documentation:
+        'Local CPU transcription with whisper.cpp (whisper-cli + GGML model)\n' +
+        'Good with mixed-language speech; WHISPER_CPP_LANGUAGE=auto (default) detects it\n\n' +
+        'Setup:\n' +
+        '  1. Build whisper.cpp (https://github.com/ggml-org/whisper.cpp):\n' +
+        '     cmake -B build && cmake --build build -j --config Release\n\n' +
+        '  2. Download a model:\n' +
+        '     ./models/download-ggml-model.sh large-v3-turbo\n\n' +
+        '  3. Configure .env:\n' +
+        '     TRANSCRIPTION_PROVIDER=whispercpp\n' +
+        '     WHISPER_CPP_MODEL_PATH=/path/to/whisper.cpp/models/ggml-large-v3-turbo.bin\n' +
+        '     WHISPER_CPP_BINARY=/path/to/whisper.cpp/build/bin/whisper-cli\n\n' +
+        'Compressed recordings are decoded to 16kHz WAV with ffmpeg automatically'
+    };
+  }
+}
+
+module.exports = WhisperCppProvider;
@@ -4,15 +4,25 @@
  */
 
 const TranscriptionProvider = require('./TranscriptionProvider');
+const HttpTranscriptionProvider = require('./HttpTranscriptionProvider');
 const NexaraProvider = require('./NexaraProvider');
 const PalatineProvider = require('./PalatineProvider');
 const ParakeetV3Provider = require('./ParakeetV3Provider');
+const OpenAIProvider = require('./OpenAIProvider');
+const WhisperCppProvider = require('./WhisperCppProvider');
+const FallbackProvider = require('./FallbackProvider');
+const RaceProvider = require('./RaceProvider');
 const ProviderFactory = require('./ProviderFactory');
 
 module.exports = {
   TranscriptionProvider,
+  HttpTranscriptionProvider,
   NexaraProvider,
   PalatineProvider,
   ParakeetV3Provider,
+  OpenAIProvider,
+  WhisperCppProvider,
+  FallbackProvider,
+  RaceProvider,
   ProviderFactory
 };
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Test learning vocabulary.json entries from hand corrections (`voice-input correct`)
+ * Usage: node test-correction-learner.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CorrectionLearner = require('./src/CorrectionLearner');
+const { runTests } = require('./test-helpers');
+
+const vocabularyFilePath = path.join(os.tmpdir(), `voice-input-test-vocabulary-${process.pid}.json`);
+
+/**
+ * Learner over a throwaway vocabulary.json
+ * @param {Object|null} vocabulary - File contents, null for no file
+ */
+function createLearner(vocabulary, options = {}) {
+  fs.rmSync(vocabularyFilePath, { force: true });
+  if (vocabulary) {
+    fs.writeFileSync(vocabularyFilePath, JSON.stringify(vocabulary));
+  }
+  return new CorrectionLearner({ vocabularyFilePath, ...options });
+}
+
+const tests = [
+  ['tokenize strips punctuation and marks sentence ends', async () => {
+    assert.deepStrictEqual(CorrectionLearner.tokenize('Run «Kubernetes», now. Ok?'), [
+      { text: 'Run', word: 'Run' },
+      { text: '«Kubernetes»,', word: 'Kubernetes' },
+      { text: 'now.', word: 'now' },
+      { text: '.', word: '.', boundary: true },
+      { text: 'Ok?', word: 'Ok' },
+      { text: '.', word: '.', boundary: true }
+    ]);
+    assert.deepStrictEqual(CorrectionLearner.tokenize(''), []);
+  }],
+
+  ['diffWords finds runs of changed words', async () => {
+    assert.deepStrictEqual(CorrectionLearner.diffWords('запусти кубер нетис сейчас', 'запусти Kubernetes сейчас'),
+      [{ from: 'кубер нетис', to: 'Kubernetes', sentenceStart: false }]);
+    assert.deepStrictEqual(CorrectionLearner.diffWords('deploy the app', 'deploy the new app'), []);
+    assert.deepStrictEqual(CorrectionLearner.diffWords('deploy the old app', 'deploy the app'), []);
+  }],
+
+  ['diffWords peels case-only edits off the edges of a run', async () => {
+    assert.deepStrictEqual(CorrectionLearner.diffWords('use redis cash', 'Use Redis cache'), [
+      { from: 'use', to: 'Use', sentenceStart: true },
+      { from: 'redis', to: 'Redis', sentenceStart: false },
+      { from: 'cash', to: 'cache', sentenceStart: false }
+    ]);
+    assert.deepStrictEqual(CorrectionLearner.diffWords('use graf ql api', 'use GraphQL API'), [
+      { from: 'graf ql', to: 'GraphQL', sentenceStart: false },
+      { from: 'api', to: 'API', sentenceStart: false }
+    ]);
+  }],
+
+  ['a change never spans two sentences', async () => {
+    assert.deepStrictEqual(CorrectionLearner.diffWords('Start redis. push it', 'Start Redis. Push it'), [
+      { from: 'redis', to: 'Redis', sentenceStart: false },
+      { from: 'push', to: 'Push', sentenceStart: true }
+    ]);
+  }],
+
+  ['sentence-start capitalisation is not learned as a term', async () => {
+    const learner = createLearner(null);
+    assert.deepStrictEqual(learner.propose('push the branch. then push tags', 'Push the branch. Then push tags'), []);
+    assert.deepStrictEqual(learner.propose('start redis. push it', 'Start Redis. Push it'),
+      [{ from: 'redis', to: 'Redis', existing: null }]);
+  }],
+
+  ['long rewrites, repeats and lowercasing are skipped', async () => {
+    const learner = createLearner(null, { maxWords: 2 });
+    assert.deepStrictEqual(learner.propose('one two three four', 'something else entirely now'), []);
+    assert.deepStrictEqual(learner.propose('use graf ql and graf ql', 'use GraphQL and GraphQL'),
+      [{ from: 'graf ql', to: 'GraphQL', existing: null }]);
+    assert.deepStrictEqual(learner.propose('open the Door', 'open the door'), []);
+  }],
+
+  ['changes the current vocabulary already makes are skipped', async () => {
+    const learner = createLearner({ replacements: { 'кубер нетис': 'Kubernetes', 'пост грес': 'Postgres' } });
+    assert.deepStrictEqual(learner.propose('кубер нетис и пост грес', 'Kubernetes и PostgreSQL'),
+      [{ from: 'пост грес', to: 'PostgreSQL', existing: 'Postgres' }]);
+  }],
+
+  ['save adds accepted proposals to replacements, keeping the rest', async () => {
+    const learner = createLearner({ terms: ['Redis'], replacements: { 'пост грес': 'Postgres' } });
+    try {
+      learner.save([]);
+      assert.strictEqual(fs.readFileSync(vocabularyFilePath, 'utf8'), JSON.stringify({ terms: ['Redis'], replacements: { 'пост грес': 'Postgres' } }));
+
+      learner.save([{ from: 'пост грес', to: 'PostgreSQL' }, { from: 'кубер нетис', to: 'Kubernetes' }]);
+      assert.deepStrictEqual(learner.loadVocabularyFile(), {
+        terms: ['Redis'],
+        replacements: { 'пост грес': 'PostgreSQL', 'кубер нетис': 'Kubernetes' }
+      });
+
+      createLearner(null).save([{ from: 'редис', to: 'Redis' }]);
+      assert.deepStrictEqual(learner.loadVocabularyFile(), { replacements: { 'редис': 'Redis' } });
+    } finally {
+      fs.rmSync(vocabularyFilePath, { force: true });
+    }
+  }],
+
+  ['getLastTranscription reads the last TRANSCRIPTION event with its raw text', async () => {
+    const event = {
+      sessionId: 'abc',
+      timestamp: '2026-01-01T00:00:00.000Z',
+      data: { text: 'Deploy Kubernetes', raw: 'deploy кубер нетис' }
+    };
+    const logger = { findLastSessionEvent: type => (type === 'TRANSCRIPTION' ? event : null) };
+    assert.deepStrictEqual(new CorrectionLearner({ logger }).getLastTranscription(), {
+      sessionId: 'abc',
+      timestamp: '2026-01-01T00:00:00.000Z',
+      text: 'Deploy Kubernetes',
+      raw: 'deploy кубер нетис'
+    });
+
+    assert.strictEqual(new CorrectionLearner().getLastTranscription(), null);
+    assert.strictEqual(new CorrectionLearner({ logger: { findLastSessionEvent: () => null } }).getLastTranscription(), null);
+  }],
+
+  ['a correction of post-processed text learns only the misheard term', async () => {
+    // Vocabulary, spoken punctuation and "scratch that" all changed what was pasted
+    const event = {
+      sessionId: 'abc',
+      timestamp: '2026-01-01T00:00:00.000Z',
+      data: { text: 'Deploy Kubernetes, then пуш.', raw: 'deploy кубер нетис запятая then пуш scratch that' }
+    };
+    const logger = { findLastSessionEvent: () => event };
+    const learner = createLearner({ replacements: { 'кубер нетис': 'Kubernetes' } }, { logger });
+    const last = learner.getLastTranscription();
+
+    // `correct` prefills the raw text, so only the retyped word differs
+    assert.deepStrictEqual(learner.propose(last.raw, last.raw.replace('пуш', 'push')),
+      [{ from: 'пуш', to: 'push', existing: null }]);
+  }]
+];
+
+runTests('correction learner', tests);
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test voice editing commands ("scratch that", "replace X with Y") and how
+ * their results reach the clipboard and the notebook buffer
+ * Usage: node test-editing-commands.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EditingCommands = require('./src/EditingCommands');
+const VoiceInputApp = require('./src/VoiceInputApp');
+const { runTests } = require('./test-helpers');
+
+const editor = new EditingCommands();
+
+/**
+ * App with a throwaway config.json and a clipboard that records what it got
+ * @param {Object} uiConfig - Initial config.json contents
+ */
+function createApp(uiConfig) {
+  const app = new VoiceInputApp();
+  app.configFilePath = path.join(os.tmpdir(), `voice-input-test-config-${process.pid}.json`);
+  fs.writeFileSync(app.configFilePath, JSON.stringify({ addPrefix: false, addSuffix: false, ...uiConfig }));
+
+  app.copied = [];
+  app.events = [];
+  app.clipboardManager = { copyText: async text => app.copied.push(text) };
+  app.soundNotifier = { playTextReady: async () => {}, playError: async () => {} };
+  app.logger = { logSession: (sessionId, type) => app.events.push(type), logError: () => {}, logTranscription: () => {} };
+
+  return app;
+}
+
+function readBuffer(app) {
+  return JSON.parse(fs.readFileSync(app.configFilePath, 'utf8')).notebookBuffer;
+}
+
+const tests = [
+  ['"scratch that" drops the sentence before it', async () => {
+    assert.deepStrictEqual(editor.apply('Meet on Tuesday. Scratch that. Meet on Wednesday.'),
+      { text: 'Meet on Wednesday.', count: 1, carried: [] });
+    assert.strictEqual(editor.apply('Первое предложение. Второе неправильное. Удали последнее. Третье.').text,
+      'Первое предложение. Третье.');
+  }],
+
+  ['"scratch that" mid-sentence drops the unfinished sentence', async () => {
+    assert.strictEqual(editor.apply('Hello there. I will come Tuesday, scratch that, Wednesday.').text,
+      'Hello there. Wednesday.');
+    assert.strictEqual(editor.apply('a\nline two scratch that\nline three').text, 'a\nLine three');
+  }],
+
+  ['"replace X with Y" changes the last X before it', async () => {
+    assert.deepStrictEqual(editor.apply('Deploy to staging. Replace staging with production.'),
+      { text: 'Deploy to production.', count: 1, carried: [] });
+    assert.strictEqual(editor.apply('Привет. Запусти кубер. Замени кубер на Kubernetes.').text,
+      'Привет. Запусти Kubernetes.');
+    assert.strictEqual(editor.apply('Test staging, then staging. Replace staging with prod.').text,
+      'Test staging, then prod.');
+  }],
+
+  ['text after a removed command starts a sentence only after a sentence end', async () => {
+    assert.strictEqual(editor.apply('Deploy to staging. Replace staging with production, then test staging.').text,
+      'Deploy to production. Then test staging.');
+    assert.strictEqual(editor.apply('Deploy to staging, replace staging with production, then test.').text,
+      'Deploy to production, then test.');
+  }],
+
+  ['"replace" inside a sentence is dictation', async () => {
+    const dictated = 'We should replace Redis with Postgres.';
+    assert.deepStrictEqual(editor.apply(dictated), { text: dictated, count: 0, carried: [] });
+  }],
+
+  ['"replace" with nothing to replace is kept as dictated, punctuation attached', async () => {
+    assert.deepStrictEqual(editor.apply('Hello world. Replace moon with sun.'),
+      { text: 'Hello world. Replace moon with sun.', count: 0, carried: [] });
+  }],
+
+  ['a command with nothing before it is carried', async () => {
+    assert.deepStrictEqual(editor.apply('Scratch that.'), { text: '', count: 0, carried: [{ type: 'scratch' }] });
+    assert.deepStrictEqual(editor.apply('Replace foo with bar. Next one.'), {
+      text: 'Next one.',
+      count: 0,
+      carried: [{ type: 'replace', from: 'foo', to: 'bar' }]
+    });
+  }],
+
+  ['applyToEntries edits or removes the last notebook entry', async () => {
+    const entries = ['First note.', 'Deploy to staging.'];
+    assert.strictEqual(EditingCommands.applyToEntries(entries, [{ type: 'replace', from: 'staging', to: 'production' }]), 1);
+    assert.deepStrictEqual(entries, ['First note.', 'Deploy to production.']);
+
+    assert.strictEqual(EditingCommands.applyToEntries(entries, [{ type: 'replace', from: 'missing', to: 'x' }]), 0);
+    assert.strictEqual(EditingCommands.applyToEntries(entries, [{ type: 'scratch' }, { type: 'scratch' }]), 2);
+    assert.deepStrictEqual(entries, []);
+    assert.strictEqual(EditingCommands.applyToEntries(entries, [{ type: 'scratch' }]), 0);
+  }],
+
+  ['normal mode: a leading command is left out of the copied text', async () => {
+    const app = createApp({ mode: 'normal', notebookBuffer: [] });
+    try {
+      await app.copyTranscriptionToClipboard(app.applyEditingCommands('Scratch that. Hello.'));
+      assert.deepStrictEqual(app.copied, ['Hello.']);
+    } finally {
+      fs.rmSync(app.configFilePath, { force: true });
+    }
+  }],
+
+  ['normal mode: a command-only recording leaves the clipboard alone', async () => {
+    const app = createApp({ mode: 'normal', notebookBuffer: [] });
+    try {
+      await app.copyTranscriptionToClipboard(app.applyEditingCommands('Scratch that.'));
+      await app.copyTranscriptionToClipboard(app.applyEditingCommands('Replace foo with bar.'));
+      assert.deepStrictEqual(app.copied, []);
+      assert.deepStrictEqual(app.events.filter(type => type === 'CLIPBOARD_SKIPPED').length, 2);
+    } finally {
+      fs.rmSync(app.configFilePath, { force: true });
+    }
+  }],
+
+  ['notebook mode: a leading command edits the buffer', async () => {
+    const app = createApp({ mode: 'notebook', notebookBuffer: ['First note.', 'Deploy to staging.'] });
+    try {
+      await app.copyTranscriptionToClipboard(app.applyEditingCommands('Replace staging with production.'));
+      assert.deepStrictEqual(readBuffer(app), ['First note.', 'Deploy to production.']);
+
+      await app.copyTranscriptionToClipboard(app.applyEditingCommands('Scratch that. Second try.'));
+      assert.deepStrictEqual(readBuffer(app), ['First note.', 'Second try.']);
+      assert.strictEqual(app.copied[app.copied.length - 1], 'First note.\nSecond try.');
+    } finally {
+      fs.rmSync(app.configFilePath, { force: true });
+    }
+  }]
+];
+
+runTests('editing commands', tests, { quiet: true });
@@ -0,0 +1,108 @@
+/**
+ * Shared pieces of the test-*.js scripts
+ *
+ * startStandInServer() plays a remote HTTP API (OpenAI, Nexara, Ollama, ...)
+ * on a random local port, so tests need no network access or API keys.
+ * runTests() runs a [name, async fn] list and exits non-zero on failure.
+ */
+
+const http = require('http');
+
+/**
+ * Start a throwaway HTTP server on 127.0.0.1
+ * @param {Object|Object[]} responses - One response for every request, or a
+ *   queue answered in order (500 once it runs out). A response is
+ *   {status?, body?: string|Object, contentType?, headers?, hang?: boolean};
+ *   hang never answers.
+ * @returns {Promise<{url: string, requests: Object[], aborted: () => number, close: () => Promise}>}
+ *   requests: {method, url, headers, body (latin1 string, safe for multipart), json (parsed JSON body)}
+ *   aborted: hanging requests the client gave up on
+ */
+function startStandInServer(responses) {
+  const queue = Array.isArray(responses) ? responses : null;
+  const requests = [];
+  let aborted = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      let json;
+      if ((req.headers['content-type'] || '').includes('application/json')) {
+        json = JSON.parse(raw.toString('utf8'));
+      }
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw.toString('latin1'), json });
+
+      const next = queue ? (queue.shift() || { status: 500, body: 'no response queued' }) : responses;
+
+      if (next.hang) {
+        res.on('close', () => aborted++);
+        return;
+      }
+
+      const body = next.body === undefined ? {} : next.body;
+      const isJson = typeof body === 'object';
+      res.writeHead(next.status || 200, {
+        'Content-Type': next.contentType || (isJson ? 'application/json' : 'text/plain'),
+        ...next.headers
+      });
+      res.end(isJson ? JSON.stringify(body) : body);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        aborted: () => aborted,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Run tests in order, print ✅/❌ per test and exit 1 if any failed
+ * @param {string} title - Printed first ("Testing <title>...")
+ * @param {Array<[string, Function]>} tests
+ * @param {{quiet?: boolean}} [options] - quiet: hide console output of the code under test
+ */
+async function runTests(title, tests, options = {}) {
+  console.log(`🧪 Testing ${title}...\n`);
+
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+
+  let failed = 0;
+
+  for (const [name, test] of tests) {
+    if (options.quiet) {
+      console.log = console.warn = console.error = () => {};
+    }
+    try {
+      await test();
+      console.log = originalLog;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      console.log = originalLog;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+      failed++;
+    } finally {
+      console.log = originalLog;
+      console.warn = originalWarn;
+      console.error = originalError;
+    }
+  }
+
+  console.log(`\n${failed === 0 ? '✅ All tests passed' : `❌ ${failed} test(s) failed`}`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+module.exports = { startStandInServer, runTests };
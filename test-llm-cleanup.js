@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Test the LLM cleanup pass against a local stand-in chat completions server
+ * Usage: node test-llm-cleanup.js
+ *
+ * No model needed: the stand-in plays Ollama / llama.cpp server, answering
+ * with a cleanup, an error or nothing at all.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TranscriptCleaner = require('./src/TranscriptCleaner');
+const { startStandInServer, runTests } = require('./test-helpers');
+
+/**
+ * Chat completions response with one assistant message
+ */
+function reply(content) {
+  return { body: { choices: [{ index: 0, message: { role: 'assistant', content } }] } };
+}
+
+const RAW = 'um so like deploy the the app to staging uh and run the tests';
+
+const tests = [
+  ['sends the system prompt and transcript, returns the cleaned text', async () => {
+    const server = await startStandInServer(reply('Deploy the app to staging and run the tests.'));
+    try {
+      const cleaner = new TranscriptCleaner({
+        baseUrl: `${server.url}/v1/`,
+        model: 'qwen2.5:3b',
+        apiKey: 'secret',
+        systemPrompt: 'Remove filler words.'
+      });
+      const result = await cleaner.clean(RAW);
+
+      assert.strictEqual(result.cleaned, true);
+      assert.strictEqual(result.error, null);
+      assert.strictEqual(result.text, 'Deploy the app to staging and run the tests.');
+
+      const [request] = server.requests;
+      assert.strictEqual(request.url, '/v1/chat/completions');
+      assert.strictEqual(request.headers.authorization, 'Bearer secret');
+      assert.strictEqual(request.json.model, 'qwen2.5:3b');
+      assert.strictEqual(request.json.stream, false);
+      assert.deepStrictEqual(request.json.messages, [
+        { role: 'system', content: 'Remove filler words.' },
+        { role: 'user', content: RAW }
+      ]);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['omits model and auth when not configured (llama.cpp server)', async () => {
+    const server = await startStandInServer(reply('Deploy.'));
+    try {
+      await new TranscriptCleaner({ baseUrl: server.url }).clean('uh deploy');
+
+      const [request] = server.requests;
+      assert.strictEqual(request.json.model, undefined);
+      assert.strictEqual(request.headers.authorization, undefined);
+      assert.strictEqual(request.json.messages[0].content, TranscriptCleaner.DEFAULT_PROMPT);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['strips <think> blocks from reasoning models', async () => {
+    const server = await startStandInServer(reply('<think>\nThe user wants filler removed.\n</think>\n\nDeploy to staging.'));
+    try {
+      const result = await new TranscriptCleaner({ baseUrl: server.url }).clean('uh deploy to staging');
+      assert.strictEqual(result.text, 'Deploy to staging.');
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['falls back to the raw text on an HTTP error', async () => {
+    const server = await startStandInServer({ status: 404, body: { error: 'model "qwen" not found, try pulling it first' } });
+    try {
+      const result = await new TranscriptCleaner({ baseUrl: server.url, model: 'qwen' }).clean(RAW);
+      assert.strictEqual(result.cleaned, false);
+      assert.strictEqual(result.text, RAW);
+      assert.match(result.error, /HTTP 404: model "qwen" not found/);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['falls back to the raw text on timeout', async () => {
+    const server = await startStandInServer({ hang: true });
+    try {
+      const startTime = Date.now();
+      const result = await new TranscriptCleaner({ baseUrl: server.url, timeout: 300 }).clean(RAW);
+      assert.strictEqual(result.cleaned, false);
+      assert.strictEqual(result.text, RAW);
+      assert.match(result.error, /timed out after 300ms/);
+      assert.ok(Date.now() - startTime < 3000, 'should give up at the timeout');
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['falls back when nothing is listening', async () => {
+    const server = await startStandInServer(reply('unused'));
+    const url = server.url;
+    await server.close();
+
+    const result = await new TranscriptCleaner({ baseUrl: url }).clean(RAW);
+    assert.strictEqual(result.cleaned, false);
+    assert.strictEqual(result.text, RAW);
+    assert.ok(result.error);
+  }],
+
+  ['falls back on an empty reply or a reply that answers the prompt', async () => {
+    const empty = await startStandInServer(reply('  '));
+    const answer = await startStandInServer(reply('Sure! Here is a deployment script:\n' + 'kubectl apply -f app.yaml\n'.repeat(10)));
+    const malformed = await startStandInServer({ body: { choices: [] } });
+    try {
+      const emptyResult = await new TranscriptCleaner({ baseUrl: empty.url }).clean(RAW);
+      assert.strictEqual(emptyResult.text, RAW);
+      assert.match(emptyResult.error, /empty reply/);
+
+      const answerResult = await new TranscriptCleaner({ baseUrl: answer.url }).clean(RAW);
+      assert.strictEqual(answerResult.text, RAW);
+      assert.match(answerResult.error, /looks like an answer/);
+
+      const malformedResult = await new TranscriptCleaner({ baseUrl: malformed.url }).clean(RAW);
+      assert.strictEqual(malformedResult.text, RAW);
+      assert.match(malformedResult.error, /no choices/);
+    } finally {
+      await empty.close();
+      await answer.close();
+      await malformed.close();
+    }
+  }],
+
+  ['does not call the endpoint for empty text', async () => {
+    const server = await startStandInServer(reply('unused'));
+    try {
+      const result = await new TranscriptCleaner({ baseUrl: server.url }).clean('');
+      assert.strictEqual(result.cleaned, false);
+      assert.strictEqual(server.requests.length, 0);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['fromEnv is off without LLM_CLEANUP_BASE_URL and reads the prompt file', async () => {
+    assert.strictEqual(TranscriptCleaner.fromEnv({}), null);
+
+    const promptFile = path.join(os.tmpdir(), `llm-cleanup-prompt-${process.pid}.txt`);
+    fs.writeFileSync(promptFile, 'Tidy this up.\n');
+    try {
+      const cleaner = TranscriptCleaner.fromEnv({
+        LLM_CLEANUP_BASE_URL: 'http://localhost:11434/v1',
+        LLM_CLEANUP_MODEL: 'llama3.2',
+        LLM_CLEANUP_PROMPT: 'ignored when a file is given',
+        LLM_CLEANUP_PROMPT_FILE: promptFile,
+        LLM_CLEANUP_TIMEOUT: '5000'
+      });
+      assert.strictEqual(cleaner.apiUrl, 'http://localhost:11434/v1/chat/completions');
+      assert.strictEqual(cleaner.model, 'llama3.2');
+      assert.strictEqual(cleaner.systemPrompt, 'Tidy this up.');
+      assert.strictEqual(cleaner.timeout, 5000);
+    } finally {
+      fs.unlinkSync(promptFile);
+    }
+  }]
+];
+
+runTests('LLM cleanup', tests);
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Test the OpenAI-compatible provider against a local stand-in server
+ * Usage: node test-openai-provider.js
+ *
+ * The stand-in plays OpenAI / faster-whisper-server and records what it
+ * received.
+ */
+
+const assert = require('assert');
+const OpenAIProvider = require('./src/providers/OpenAIProvider');
+const ProviderFactory = require('./src/providers/ProviderFactory');
+const HttpTranscriptionProvider = require('./src/providers/HttpTranscriptionProvider');
+const { startStandInServer, runTests } = require('./test-helpers');
+
+/**
+ * Value of a multipart form field, or undefined if it was not sent
+ */
+function formField(body, name) {
+  const match = body.match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)\\r\\n`));
+  return match ? match[1] : undefined;
+}
+
+function createAudio() {
+  const audio = Buffer.alloc(1024, 1);
+  audio._audioFormat = 'opus';
+  audio._audioExtension = 'ogg';
+  return audio;
+}
+
+const tests = [
+  ['sends model, language, prompt and response_format with bearer auth', async () => {
+    const server = await startStandInServer([{ body: { text: ' Hello world ' } }]);
+    try {
+      const provider = new OpenAIProvider({
+        apiKey: 'sk-test',
+        baseUrl: `${server.url}/v1/`,
+        model: 'whisper-large-v3',
+        language: 'en',
+        prompt: 'Kubernetes, PostgreSQL'
+      });
+
+      const text = await provider.transcribe(createAudio());
+      assert.strictEqual(text, 'Hello world');
+
+      const [request] = server.requests;
+      assert.strictEqual(request.method, 'POST');
+      assert.strictEqual(request.url, '/v1/audio/transcriptions');
+      assert.strictEqual(request.headers.authorization, 'Bearer sk-test');
+      assert.strictEqual(formField(request.body, 'model'), 'whisper-large-v3');
+      assert.strictEqual(formField(request.body, 'language'), 'en');
+      assert.strictEqual(formField(request.body, 'prompt'), 'Kubernetes, PostgreSQL');
+      assert.strictEqual(formField(request.body, 'response_format'), 'json');
+      assert.ok(request.body.includes('filename="audio.ogg"'));
+      assert.ok(request.body.includes('Content-Type: audio/ogg'));
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['works without an API key against a self-hosted server', async () => {
+    const server = await startStandInServer([{ body: { text: 'local' } }]);
+    try {
+      const provider = new OpenAIProvider({ baseUrl: `${server.url}/v1` });
+      assert.strictEqual(await provider.transcribe(createAudio()), 'local');
+
+      const [request] = server.requests;
+      assert.strictEqual(request.headers.authorization, undefined);
+      assert.strictEqual(formField(request.body, 'model'), 'whisper-1');
+      assert.strictEqual(formField(request.body, 'language'), undefined);
+      assert.strictEqual(formField(request.body, 'prompt'), undefined);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['parses text, verbose_json, srt and vtt responses', async () => {
+    const cases = [
+      ['text', { body: 'plain text result\n' }, 'plain text result'],
+      ['verbose_json', { body: { text: 'verbose', segments: [] } }, 'verbose'],
+      ['srt', { body: '1\n00:00:00,000 --> 00:00:01,500\nFirst line\n\n2\n00:00:01,500 --> 00:00:03,000\nsecond line\n' }, 'First line second line'],
+      ['vtt', { body: 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nFrom vtt\n', contentType: 'text/vtt' }, 'From vtt']
+    ];
+
+    for (const [responseFormat, response, expected] of cases) {
+      const server = await startStandInServer([response]);
+      try {
+        const provider = new OpenAIProvider({ baseUrl: `${server.url}/v1`, responseFormat });
+        assert.strictEqual(await provider.transcribe(createAudio()), expected, responseFormat);
+        assert.strictEqual(formField(server.requests[0].body, 'response_format'), responseFormat);
+      } finally {
+        await server.close();
+      }
+    }
+  }],
+
+  ['retries server errors and rate limits, then succeeds', async () => {
+    const server = await startStandInServer([
+      { status: 503, body: { error: 'busy' } },
+      { status: 429, body: { error: 'slow down' } },
+      { body: { text: 'third time' } }
+    ]);
+    try {
+      const provider = new OpenAIProvider({ baseUrl: `${server.url}/v1`, maxRetries: 3 });
+      assert.strictEqual(await provider.transcribe(createAudio()), 'third time');
+      assert.strictEqual(server.requests.length, 3);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['waits for Retry-After before the next attempt', async () => {
+    const server = await startStandInServer([
+      { status: 429, body: { error: 'slow down' }, headers: { 'Retry-After': '1' } },
+      { body: { text: 'after waiting' } }
+    ]);
+    try {
+      const provider = new OpenAIProvider({ baseUrl: `${server.url}/v1`, retryBaseDelay: 10 });
+      const startTime = Date.now();
+      assert.strictEqual(await provider.transcribe(createAudio()), 'after waiting');
+      assert.ok(Date.now() - startTime >= 1000, 'retried before Retry-After elapsed');
+      assert.strictEqual(server.requests.length, 2);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['gives up when the next retry would pass the deadline', async () => {
+    const server = await startStandInServer([
+      { status: 503, body: { error: 'busy' }, headers: { 'Retry-After': '30' } },
+      { body: { text: 'should not be reached' } }
+    ]);
+    try {
+      const provider = new OpenAIProvider({ baseUrl: `${server.url}/v1`, maxRetries: 10, deadline: 2000 });
+      const startTime = Date.now();
+      await assert.rejects(() => provider.transcribe(createAudio()), /503/);
+      assert.ok(Date.now() - startTime < 1000, 'waited instead of giving up');
+      assert.strictEqual(server.requests.length, 1);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['gives up without sending when the retry wait used up the deadline', async () => {
+    const server = await startStandInServer([
+      { status: 503, body: { error: 'busy' }, headers: { 'Retry-After': '1' } },
+      { body: { text: 'should not be reached' } }
+    ]);
+    const sleep = HttpTranscriptionProvider.sleep;
+    // A wait that overruns, as timers do under load
+    HttpTranscriptionProvider.sleep = (ms, signal) => sleep(ms + 300, signal);
+    try {
+      const provider = new OpenAIProvider({ baseUrl: `${server.url}/v1`, maxRetries: 10, deadline: 1200 });
+      await assert.rejects(() => provider.transcribe(createAudio()), /Deadline of 1200ms reached after 1 attempt/);
+      assert.strictEqual(server.requests.length, 1);
+    } finally {
+      HttpTranscriptionProvider.sleep = sleep;
+      await server.close();
+    }
+  }],
+
+  ['does not retry client errors', async () => {
+    const server = await startStandInServer([
+      { status: 401, body: { error: 'bad key' } },
+      { body: { text: 'should not be reached' } }
+    ]);
+    try {
+      const provider = new OpenAIProvider({ apiKey: 'wrong', baseUrl: `${server.url}/v1` });
+      await assert.rejects(() => provider.transcribe(createAudio()), /401/);
+      assert.strictEqual(server.requests.length, 1);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['rejects empty transcriptions', async () => {
+    const server = await startStandInServer([{ body: { text: '   ' } }]);
+    try {
+      const provider = new OpenAIProvider({ baseUrl: `${server.url}/v1`, maxRetries: 1 });
+      await assert.rejects(() => provider.transcribe(createAudio()), /Empty transcription result/);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['validates configuration', async () => {
+    assert.strictEqual(OpenAIProvider.validateConfig({}), false);
+    assert.strictEqual(OpenAIProvider.validateConfig({ apiKey: ' ' }), false);
+    assert.strictEqual(OpenAIProvider.validateConfig({ apiKey: 'sk-test' }), true);
+    assert.strictEqual(OpenAIProvider.validateConfig({ baseUrl: 'http://localhost:8000/v1' }), true);
+    assert.throws(() => new OpenAIProvider({ apiKey: 'sk-test', responseFormat: 'xml' }), /Unsupported OpenAI response format/);
+  }],
+
+  ['is created by autoDetect() from environment variables', async () => {
+    const server = await startStandInServer([{ body: { text: 'from env' } }]);
+    try {
+      const env = {
+        OPENAI_BASE_URL: `${server.url}/v1`,
+        OPENAI_MODEL: 'Systran/faster-whisper-small',
+        OPENAI_LANGUAGE: 'ru',
+        OPENAI_PROMPT: 'voice-input',
+        OPENAI_RESPONSE_FORMAT: 'text',
+        OPENAI_MAX_RETRIES: '1'
+      };
+
+      const detected = ProviderFactory.autoDetect(env);
+      assert.ok(detected instanceof OpenAIProvider);
+      assert.strictEqual(detected.model, 'Systran/faster-whisper-small');
+      assert.strictEqual(detected.maxRetries, 1);
+
+      const explicit = ProviderFactory.autoDetect({ ...env, TRANSCRIPTION_PROVIDER: 'openai' });
+      assert.ok(explicit instanceof OpenAIProvider);
+
+      // A stray comma or space still names a single provider
+      assert.ok(ProviderFactory.autoDetect({ ...env, TRANSCRIPTION_PROVIDER: 'openai,' }) instanceof OpenAIProvider);
+      assert.ok(ProviderFactory.autoDetect({ ...env, TRANSCRIPTION_PROVIDER: ' OpenAI , ' }) instanceof OpenAIProvider);
+      assert.throws(() => ProviderFactory.autoDetect({ ...env, TRANSCRIPTION_PROVIDER: ' , ' }), /No transcription provider named/);
+
+      server.requests.length = 0;
+      await detected.transcribe(createAudio());
+      assert.strictEqual(formField(server.requests[0].body, 'language'), 'ru');
+      assert.strictEqual(formField(server.requests[0].body, 'prompt'), 'voice-input');
+      assert.strictEqual(formField(server.requests[0].body, 'response_format'), 'text');
+
+      assert.throws(
+        () => ProviderFactory.autoDetect({ TRANSCRIPTION_PROVIDER: 'openai' }),
+        /Required keys: OPENAI_API_KEY/
+      );
+    } finally {
+      await server.close();
+    }
+  }]
+];
+
+// Provider logs every request; keep the test output readable
+runTests('OpenAI-compatible provider', tests, { quiet: true });
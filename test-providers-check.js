@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Test `voice-input providers check` against local stand-in servers
+ * Usage: node test-providers-check.js
+ *
+ * Stand-in servers play the cloud providers, answering with success, auth
+ * errors or nothing at all.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const ProviderHealthCheck = require('./src/ProviderHealthCheck');
+const { startStandInServer, runTests } = require('./test-helpers');
+
+/**
+ * Run `node index.js providers check` with the given environment
+ * @returns {Promise<{code: number, output: string}>}
+ */
+function runCli(env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'index.js'), 'providers', 'check'], {
+      env: { PATH: process.env.PATH, HOME: os.tmpdir(), ...env },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', data => { output += data; });
+    child.stderr.on('data', data => { output += data; });
+    child.on('close', code => resolve({ code, output }));
+  });
+}
+
+const tests = [
+  ['reports latency for a working provider and passes', async () => {
+    const server = await startStandInServer({ body: { text: 'beep' } });
+    try {
+      const check = new ProviderHealthCheck({
+        env: { TRANSCRIPTION_PROVIDER: 'openai', OPENAI_BASE_URL: `${server.url}/v1` }
+      });
+      const { results, exitCode } = await check.run();
+
+      assert.strictEqual(exitCode, 0);
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].name, 'openai');
+      assert.strictEqual(results[0].status, 'ok');
+      assert.strictEqual(results[0].active, true);
+      assert.ok(results[0].latencyMs >= 0);
+      assert.strictEqual(results[0].message, 'heard "beep"');
+
+      // The built-in clip is a real 16kHz WAV
+      assert.strictEqual(server.requests[0].url, '/v1/audio/transcriptions');
+      assert.ok(server.requests[0].body.includes('RIFF'));
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['counts an empty transcription of the test tone as working', async () => {
+    const server = await startStandInServer({ body: { text: '' } });
+    try {
+      const check = new ProviderHealthCheck({
+        env: { TRANSCRIPTION_PROVIDER: 'nexara', NEXARA_API_KEY: 'key', NEXARA_API_URL: server.url }
+      });
+      const { results, exitCode } = await check.run();
+
+      assert.strictEqual(exitCode, 0);
+      assert.strictEqual(results[0].status, 'ok');
+      assert.strictEqual(results[0].message, 'no speech in test clip');
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['reports auth errors once, without retrying, and fails', async () => {
+    const server = await startStandInServer({ status: 401, body: { error: 'invalid key' } });
+    try {
+      const check = new ProviderHealthCheck({
+        env: { TRANSCRIPTION_PROVIDER: 'palatine', PALATINE_API_KEY: 'wrong', PALATINE_API_URL: server.url }
+      });
+      const { results, exitCode } = await check.run();
+
+      assert.strictEqual(exitCode, 1);
+      assert.strictEqual(results[0].status, 'auth');
+      assert.match(results[0].message, /401/);
+      assert.strictEqual(server.requests.length, 1);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['only the active provider decides the exit code', async () => {
+    const good = await startStandInServer({ body: { text: 'fine' } });
+    const broken = await startStandInServer({ status: 500, body: { error: 'down' } });
+    try {
+      const check = new ProviderHealthCheck({
+        env: {
+          TRANSCRIPTION_PROVIDER: 'openai',
+          OPENAI_BASE_URL: `${good.url}/v1`,
+          NEXARA_API_KEY: 'key',
+          NEXARA_API_URL: broken.url
+        }
+      });
+      const { results, exitCode } = await check.run();
+
+      assert.strictEqual(exitCode, 0);
+      assert.deepStrictEqual(results.map(result => [result.name, result.active, result.status]), [
+        ['openai', true, 'ok'],
+        ['nexara', false, 'error']
+      ]);
+      assert.match(results[1].message, /HTTP 500/);
+    } finally {
+      await good.close();
+      await broken.close();
+    }
+  }],
+
+  ['checks every provider of a fallback chain, a broken backup only warns', async () => {
+    const good = await startStandInServer({ body: { text: 'fine' } });
+    try {
+      const env = { TRANSCRIPTION_PROVIDER: 'openai,nexara', OPENAI_BASE_URL: `${good.url}/v1` };
+      const { results, exitCode } = await new ProviderHealthCheck({ env }).run();
+
+      assert.strictEqual(exitCode, 0);
+      assert.deepStrictEqual(results.map(result => [result.name, result.active, result.fallback, result.status]), [
+        ['openai', true, false, 'ok'],
+        ['nexara', false, true, 'config']
+      ]);
+
+      // The first entry is the one every dictation uses
+      const reversed = await new ProviderHealthCheck({ env: { ...env, TRANSCRIPTION_PROVIDER: 'nexara,openai' } }).run();
+      assert.strictEqual(reversed.exitCode, 1);
+    } finally {
+      await good.close();
+    }
+  }],
+
+  ['every member of a race is active', async () => {
+    const good = await startStandInServer({ body: { text: 'fine' } });
+    try {
+      const check = new ProviderHealthCheck({
+        env: {
+          TRANSCRIPTION_STRATEGY: 'race',
+          TRANSCRIPTION_PROVIDER: 'openai,nexara',
+          OPENAI_BASE_URL: `${good.url}/v1`
+        }
+      });
+      const { results, exitCode } = await check.run();
+
+      assert.strictEqual(exitCode, 1);
+      assert.deepStrictEqual(results.map(result => [result.name, result.active, result.fallback]), [
+        ['openai', true, false],
+        ['nexara', true, false]
+      ]);
+    } finally {
+      await good.close();
+    }
+  }],
+
+  ['gives up on a provider that does not answer', async () => {
+    const server = await startStandInServer({ hang: true });
+    try {
+      const check = new ProviderHealthCheck({
+        env: { TRANSCRIPTION_PROVIDER: 'openai', OPENAI_BASE_URL: `${server.url}/v1` },
+        timeout: 300
+      });
+      const { results, exitCode } = await check.run();
+
+      assert.strictEqual(exitCode, 1);
+      assert.strictEqual(results[0].status, 'error');
+      assert.ok(results[0].latencyMs < 2000);
+
+      // The request is cut off, not left hanging
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.strictEqual(server.aborted(), 1);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['reports missing Parakeet model files', async () => {
+    const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parakeet-check-'));
+    try {
+      fs.writeFileSync(path.join(modelDir, 'tokens.txt'), '');
+
+      const check = new ProviderHealthCheck({
+        env: { TRANSCRIPTION_PROVIDER: 'parakeetv3', PARAKEET_MODEL_PATH: modelDir }
+      });
+      const { results, exitCode } = await check.run();
+
+      assert.strictEqual(exitCode, 1);
+      assert.strictEqual(results[0].status, 'missing');
+      assert.match(results[0].message, /Missing model files/);
+
+      const absent = await new ProviderHealthCheck({
+        env: { TRANSCRIPTION_PROVIDER: 'parakeetv3', PARAKEET_MODEL_PATH: path.join(modelDir, 'nope') }
+      }).checkProvider('parakeetv3');
+      assert.strictEqual(absent.status, 'missing');
+    } finally {
+      fs.rmSync(modelDir, { recursive: true, force: true });
+    }
+  }],
+
+  ['fails with nothing configured', async () => {
+    const { results, exitCode } = await new ProviderHealthCheck({ env: {} }).run();
+    assert.strictEqual(exitCode, 1);
+    assert.strictEqual(results.length, 0);
+  }],
+
+  ['`voice-input providers check` exits 0 when healthy and 1 when broken', async () => {
+    const good = await startStandInServer({ body: { text: 'cli' } });
+    const denied = await startStandInServer({ status: 403, body: { error: 'forbidden' } });
+    try {
+      const healthy = await runCli({ TRANSCRIPTION_PROVIDER: 'openai', OPENAI_BASE_URL: `${good.url}/v1` });
+      assert.strictEqual(healthy.code, 0, healthy.output);
+      assert.match(healthy.output, /✅ openai \(active\): ok \d+ms/);
+
+      const broken = await runCli({ TRANSCRIPTION_PROVIDER: 'openai', OPENAI_BASE_URL: `${denied.url}/v1`, OPENAI_API_KEY: 'bad' });
+      assert.strictEqual(broken.code, 1, broken.output);
+      assert.match(broken.output, /🔑 openai \(active\): auth/);
+
+      const misconfigured = await runCli({ TRANSCRIPTION_PROVIDER: 'openai,nexara', TRANSCRIPTION_STRATEGY: 'fastest' });
+      assert.strictEqual(misconfigured.code, 1, misconfigured.output);
+      assert.match(misconfigured.output, /❌ Unknown transcription strategy: "fastest"/);
+      assert.doesNotMatch(misconfigured.output, /\n\s+at /, 'no stack trace');
+    } finally {
+      await good.close();
+      await denied.close();
+    }
+  }]
+];
+
+// Providers and the check itself log every step; keep the test output readable
+runTests('provider health check', tests, { quiet: true });
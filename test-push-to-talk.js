@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test push-to-talk (`voice-input start` / `voice-input stop`)
+ * Usage: node test-push-to-talk.js
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProcessManager = require('./src/ProcessManager');
+const VoiceInputApp = require('./src/VoiceInputApp');
+const { runTests } = require('./test-helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * App with a stand-in recorder: stopping takes flushMs, like ffmpeg finishing the file
+ * @param {Object} options
+ * @param {number} options.flushMs
+ * @param {Buffer|null} [options.audio] - What the recording returns
+ */
+function createApp({ flushMs, audio = null }) {
+  const app = new VoiceInputApp({ pushToTalkMinHoldMs: 300 });
+
+  app.events = [];
+  app.logger = {
+    logSession: (sessionId, type, data) => app.events.push({ type, data }),
+    logError: () => {}
+  };
+  app.soundNotifier = {
+    playStartRecording: async () => {},
+    playEndRecording: async () => {},
+    playError: async () => {},
+    cleanup: () => {}
+  };
+  app.recordingJournal = { start: () => {}, finish: () => {}, discard: () => {} };
+
+  const recorder = new EventEmitter();
+  recorder.startRecording = async () => recorder.emit('recordingStarted');
+  recorder.stopRecording = async () => {
+    await sleep(flushMs);
+    recorder.emit('recordingStopped', audio);
+    return audio;
+  };
+  recorder.segments = [];
+  recorder.cleanup = () => {};
+  app.audioRecorder = recorder;
+
+  return app;
+}
+
+/**
+ * Run one push-to-talk session, releasing the key after holdMs
+ */
+async function holdFor(app, holdMs) {
+  await app.run(stop => setTimeout(stop, holdMs), { pushToTalk: true });
+  return app.events.map(event => event.type);
+}
+
+const tests = [
+  ['a short tap is discarded even when stopping the recorder is slow', async () => {
+    const app = createApp({ flushMs: 400, audio: Buffer.from('audio') });
+    const events = await holdFor(app, 50);
+
+    assert.ok(events.includes('RECORDING_TOO_SHORT'), events.join(', '));
+    assert.ok(!events.includes('RECORDING_SUCCESS'), events.join(', '));
+    const { duration } = app.events.find(event => event.type === 'RECORDING_TOO_SHORT').data;
+    assert.ok(duration < 300, `hold measured as ${duration}ms`);
+  }],
+
+  ['a long enough hold is kept', async () => {
+    const app = createApp({ flushMs: 10 });
+    const events = await holdFor(app, 350);
+
+    assert.ok(!events.includes('RECORDING_TOO_SHORT'), events.join(', '));
+    assert.ok(events.includes('RECORDING_EMPTY'), events.join(', '));
+  }],
+
+  ['commands sent back to back all arrive, in order', async () => {
+    const processManager = new ProcessManager();
+    processManager.commandDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-input-test-commands-'));
+    processManager.getRunningPid = () => process.pid;
+
+    const received = [];
+    const listenersBefore = process.listeners('SIGUSR2');
+    processManager.setupCommandHandler(command => received.push(command));
+
+    try {
+      // Both land before the first signal is handled
+      assert.ok(processManager.sendCommand('push-to-talk'));
+      assert.ok(processManager.sendCommand('pause'));
+      assert.ok(processManager.sendCommand('resume'));
+      await sleep(200);
+
+      assert.deepStrictEqual(received, ['push-to-talk', 'pause', 'resume']);
+      assert.deepStrictEqual(fs.readdirSync(processManager.commandDir), []);
+    } finally {
+      process.listeners('SIGUSR2')
+        .filter(listener => !listenersBefore.includes(listener))
+        .forEach(listener => process.removeListener('SIGUSR2', listener));
+      fs.rmSync(processManager.commandDir, { recursive: true, force: true });
+    }
+  }]
+];
+
+runTests('push-to-talk', tests, { quiet: true });
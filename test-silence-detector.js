@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test auto-stop: SilenceDetector, the max-duration timer and the recorder's wiring of them
+ * Usage: node test-silence-detector.js
+ *
+ * Synthetic PCM chunks stand in for the capture stream; no microphone needed.
+ */
+
+const assert = require('assert');
+const SilenceDetector = require('./src/SilenceDetector');
+const SimpleAudioRecorder = require('./src/SimpleAudioRecorder');
+const { runTests } = require('./test-helpers');
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * S16_LE mono chunk of a 440 Hz tone
+ * @param {number} ms
+ * @param {number} amplitude - 0..1 of full scale, 0 = digital silence
+ */
+function chunk(ms, amplitude) {
+  const samples = Math.round(SAMPLE_RATE * ms / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const sample = Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * amplitude;
+    buffer.writeInt16LE(Math.round(sample * 32767), i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Feed speech then silence in 100ms chunks, collecting emitted events
+ * @returns {string[]}
+ */
+function feed(detector, speechMs, silenceMs) {
+  const events = [];
+  detector.on('speech', () => events.push('speech'));
+  detector.on('silence', () => events.push('silence'));
+
+  for (let t = 0; t < speechMs; t += 100) detector.process(chunk(100, 0.3));
+  for (let t = 0; t < silenceMs; t += 100) detector.process(chunk(100, 0));
+
+  return events;
+}
+
+const tests = [
+  ['default options: speech then 2s of silence triggers', async () => {
+    const detector = new SilenceDetector();
+    assert.deepStrictEqual(feed(detector, 500, 1900), ['speech']);
+    detector.process(chunk(100, 0));
+    assert.strictEqual(detector.triggered, true);
+  }],
+
+  ['unset settings passed as undefined keep the defaults', async () => {
+    // What VoiceInputApp passes when AUTO_STOP_SILENCE_MS / _THRESHOLD are unset
+    const detector = new SilenceDetector({ sampleRate: undefined, silenceMs: undefined, threshold: undefined });
+    assert.strictEqual(detector.options.silenceMs, 2000);
+    assert.strictEqual(detector.options.threshold, 0.01);
+    assert.deepStrictEqual(feed(detector, 300, 2000), ['speech', 'silence']);
+  }],
+
+  ['silence before any speech never triggers', async () => {
+    assert.deepStrictEqual(feed(new SilenceDetector(), 0, 5000), []);
+  }],
+
+  ['recorder in hands-free mode emits autoStop on silence', async () => {
+    const recorder = new SimpleAudioRecorder({ autoStopOnSilence: true, silenceDurationMs: 500 });
+    const autoStops = [];
+    recorder.on('autoStop', event => autoStops.push(event));
+    recorder._startAutoStopMonitoring();
+    try {
+      recorder.silenceDetector.process(chunk(200, 0.3));
+      for (let t = 0; t < 500; t += 100) recorder.silenceDetector.process(chunk(100, 0));
+      assert.deepStrictEqual(autoStops, [{ reason: 'silence', silenceMs: 500 }]);
+    } finally {
+      recorder._stopAutoStopMonitoring();
+    }
+  }],
+
+  ['recorder emits autoStop at the maximum duration', async () => {
+    const recorder = new SimpleAudioRecorder({ maxDurationMs: 150 });
+    const autoStops = [];
+    recorder.on('autoStop', event => autoStops.push(event));
+    recorder._startAutoStopMonitoring();
+    try {
+      assert.strictEqual(recorder.silenceDetector, null, 'no detector outside hands-free mode');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert.deepStrictEqual(autoStops, [{ reason: 'maxDuration', durationMs: 150 }]);
+    } finally {
+      recorder._stopAutoStopMonitoring();
+    }
+  }],
+
+  ['recorder with unset settings arms a working detector', async () => {
+    const recorder = new SimpleAudioRecorder({
+      autoStopOnSilence: true,
+      silenceDurationMs: undefined,
+      silenceThreshold: undefined
+    });
+    assert.strictEqual(recorder.options.silenceDurationMs, 2000);
+    assert.strictEqual(recorder.options.silenceThreshold, 0.01);
+    assert.strictEqual(recorder.options.maxDurationMs, 0);
+
+    const autoStops = [];
+    recorder.on('autoStop', event => autoStops.push(event));
+    recorder._startAutoStopMonitoring();
+    try {
+      recorder.silenceDetector.process(chunk(200, 0.3));
+      for (let t = 0; t < 2000; t += 100) recorder.silenceDetector.process(chunk(100, 0));
+      assert.strictEqual(autoStops.length, 1);
+      assert.strictEqual(autoStops[0].reason, 'silence');
+    } finally {
+      recorder._stopAutoStopMonitoring();
+    }
+  }],
+
+  ['paused time does not count towards the maximum duration', async () => {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const recorder = new SimpleAudioRecorder({ maxDurationMs: 400 });
+    const autoStops = [];
+    recorder.on('autoStop', event => autoStops.push(event));
+
+    // What startRecording() sets up, minus the capture process
+    recorder.isRecording = true;
+    recorder.segments = [{ startedAt: Date.now(), bytes: 0 }];
+    recorder._startAutoStopMonitoring();
+    try {
+      await wait(100);
+      assert.strictEqual(recorder.pause(), true);
+      await wait(500);
+      assert.deepStrictEqual(autoStops, []);
+
+      assert.strictEqual(recorder.resume(), true);
+      await wait(150);
+      assert.deepStrictEqual(autoStops, [], 'about 300ms of recording time should be left');
+      await wait(300);
+      assert.deepStrictEqual(autoStops, [{ reason: 'maxDuration', durationMs: 400 }]);
+    } finally {
+      recorder._stopAutoStopMonitoring();
+    }
+  }]
+];
+
+runTests('silence auto-stop', tests, { quiet: true });
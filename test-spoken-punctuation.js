@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test spoken punctuation commands ("запятая" -> ",", "new line" -> line break)
+ * Usage: node test-spoken-punctuation.js
+ */
+
+const assert = require('assert');
+const SpokenPunctuation = require('./src/SpokenPunctuation');
+const { runTests } = require('./test-helpers');
+
+const punctuation = new SpokenPunctuation();
+const apply = text => punctuation.apply(text).text;
+
+const tests = [
+  ['replaces Russian and English commands with attached spacing', async () => {
+    assert.strictEqual(apply('привет запятая как дела вопросительный знак'), 'привет, как дела?');
+    assert.strictEqual(apply('hello comma world exclamation mark'), 'hello, world!');
+    assert.strictEqual(punctuation.apply('раз запятая два запятая три').count, 2);
+  }],
+
+  ['matches the longest phrase first', async () => {
+    assert.strictEqual(apply('молоко точка с запятой хлеб'), 'молоко; хлеб');
+  }],
+
+  ['spoken mark replaces the provider\'s own punctuation', async () => {
+    assert.strictEqual(apply('Привет, запятая, как дела?'), 'Привет, как дела?');
+    assert.strictEqual(apply('Done. Question mark.'), 'Done?');
+  }],
+
+  ['line breaks, brackets and quotes', async () => {
+    assert.strictEqual(apply('итого новая строка два'), 'итого\nДва');
+    assert.strictEqual(apply('first new paragraph second'), 'first\n\nSecond');
+    assert.strictEqual(apply('итого открыть скобку два закрыть скобку'), 'итого (два)');
+    assert.strictEqual(apply('он сказал открой кавычки да закрой кавычки'), 'он сказал «да»');
+  }],
+
+  ['capitalises after a sentence end, not after an ellipsis', async () => {
+    assert.strictEqual(apply('первое точка Второе'), 'первое. Второе');
+    assert.strictEqual(apply('stop exclamation mark go'), 'stop! Go');
+    assert.strictEqual(apply('и ушёл многоточие а потом'), 'и ушёл… а потом');
+  }],
+
+  ['everyday words are not commands mid-sentence', async () => {
+    assert.strictEqual(apply('Это точка зрения команды'), 'Это точка зрения команды');
+    assert.strictEqual(apply('The trial period ends soon'), 'The trial period ends soon');
+    assert.strictEqual(apply('add a dash of salt'), 'add a dash of salt');
+    assert.strictEqual(apply('add a new line to the file'), 'add a new line to the file');
+    assert.strictEqual(apply('use a colon separated list'), 'use a colon separated list');
+    assert.strictEqual(punctuation.apply('Это точка зрения команды').count, 0);
+  }],
+
+  ['everyday words are commands in a command position', async () => {
+    assert.strictEqual(apply('hello world period'), 'hello world.');
+    assert.strictEqual(apply('итог точка новая строка дальше'), 'итог.\nДальше');
+    assert.strictEqual(apply('list colon, milk'), 'list: milk');
+  }],
+
+  ['punctuation.json adds and disables phrases', async () => {
+    const custom = new SpokenPunctuation({ table: { commands: { 'собака': '@' }, disabled: ['точка'] } });
+    assert.strictEqual(custom.apply('user собака example').text, 'user @ example');
+    assert.strictEqual(custom.apply('конец точка').text, 'конец точка');
+    assert.strictEqual(custom.apply('раз запятая два').text, 'раз, два');
+
+    const only = new SpokenPunctuation({ table: { replaceDefaults: true, commands: { 'стоп': '.' } } });
+    assert.strictEqual(only.apply('раз запятая два стоп').text, 'раз запятая два.');
+  }],
+
+  ['punctuation.json marks its own phrases ambiguous', async () => {
+    const custom = new SpokenPunctuation({ table: { commands: { 'собака': '@' }, ambiguous: ['собака'] } });
+    assert.strictEqual(custom.apply('user собака Example').text, 'user @ Example');
+    assert.strictEqual(custom.apply('моя собака лает').text, 'моя собака лает');
+  }],
+
+  ['text without commands is returned as is', async () => {
+    assert.deepStrictEqual(punctuation.apply('just words here'), { text: 'just words here', count: 0 });
+    assert.deepStrictEqual(punctuation.apply(''), { text: '', count: 0 });
+  }]
+];
+
+runTests('spoken punctuation', tests);
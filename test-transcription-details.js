@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Test detailed transcription results (segments, language, confidence)
+ * Usage: node test-transcription-details.js
+ *
+ * Cloud providers talk to a local stand-in server playing Nexara.
+ */
+
+const assert = require('assert');
+const HttpTranscriptionProvider = require('./src/providers/HttpTranscriptionProvider');
+const NexaraProvider = require('./src/providers/NexaraProvider');
+const ParakeetV3Provider = require('./src/providers/ParakeetV3Provider');
+const FallbackProvider = require('./src/providers/FallbackProvider');
+const RaceProvider = require('./src/providers/RaceProvider');
+const TranscriptionProvider = require('./src/providers/TranscriptionProvider');
+const VoiceInputApp = require('./src/VoiceInputApp');
+const { startStandInServer, runTests } = require('./test-helpers');
+
+const verboseJson = {
+  text: 'Deploy to Kubernetes. Then push.',
+  language: 'english',
+  duration: 4,
+  segments: [
+    { start: 0, end: 3, text: ' Deploy to Kubernetes.', avg_logprob: Math.log(0.9) },
+    { start: 3, end: 4, text: ' Then push.', avg_logprob: Math.log(0.5) }
+  ]
+};
+
+function createAudio() {
+  const audio = Buffer.alloc(1024, 1);
+  audio._audioFormat = 'opus';
+  audio._audioExtension = 'ogg';
+  return audio;
+}
+
+/**
+ * Value of a multipart form field, or undefined if it was not sent
+ */
+function formField(body, name) {
+  const escaped = name.replace(/[[\]]/g, '\\$&');
+  const match = body.match(new RegExp(`name="${escaped}"\\r\\n\\r\\n([^\\r]*)\\r\\n`));
+  return match ? match[1] : undefined;
+}
+
+function createNexara(url) {
+  return new NexaraProvider({ apiKey: 'test', apiUrl: url, maxRetries: 1 });
+}
+
+const tests = [
+  ['parseVerboseJson weights segment confidence by length', async () => {
+    const result = HttpTranscriptionProvider.parseVerboseJson(verboseJson);
+
+    assert.strictEqual(result.text, 'Deploy to Kubernetes. Then push.');
+    assert.strictEqual(result.language, 'english');
+    assert.strictEqual(result.duration, 4);
+    assert.deepStrictEqual(result.segments.map(segment => [segment.start, segment.end, segment.text]), [
+      [0, 3, 'Deploy to Kubernetes.'],
+      [3, 4, 'Then push.']
+    ]);
+    assert.ok(Math.abs(result.segments[0].confidence - 0.9) < 1e-9);
+    assert.ok(Math.abs(result.confidence - (0.9 * 3 + 0.5 * 1) / 4) < 1e-9);
+  }],
+
+  ['parseVerboseJson leaves out what the body does not have', async () => {
+    assert.deepStrictEqual(HttpTranscriptionProvider.parseVerboseJson({ text: 'hi' }),
+      TranscriptionProvider.createResult({ text: 'hi' }));
+    assert.deepStrictEqual(HttpTranscriptionProvider.parseVerboseJson({ text: 'hi', segments: [{ start: 0, end: 1, text: 'hi' }] }).confidence,
+      null);
+  }],
+
+  ['buildSegments splits Parakeet tokens into sentences', async () => {
+    const result = {
+      tokens: ['▁Hello', '▁world', '.', '▁Next', '▁one'],
+      timestamps: [0.1, 0.5, 0.9, 1.2, 1.6]
+    };
+    assert.deepStrictEqual(ParakeetV3Provider.buildSegments(result, 2), [
+      { start: 0.1, end: 1.2, text: 'Hello world.' },
+      { start: 1.2, end: 2, text: 'Next one' }
+    ]);
+
+    assert.deepStrictEqual(ParakeetV3Provider.buildSegments({ tokens: ['a'], timestamps: [0.1], durations: [0.3] }, 5),
+      [{ start: 0.1, end: 0.4, text: 'a' }]);
+    assert.deepStrictEqual(ParakeetV3Provider.buildSegments({ tokens: ['a', 'b'], timestamps: [0] }, 1), []);
+  }],
+
+  ['Nexara asks for verbose_json only in detailed mode', async () => {
+    const server = await startStandInServer([{ body: { text: 'plain' } }, { body: verboseJson }]);
+    try {
+      const provider = createNexara(server.url);
+
+      assert.strictEqual(await provider.transcribe(createAudio()), 'plain');
+      assert.strictEqual(formField(server.requests[0].body, 'response_format'), undefined);
+      assert.strictEqual(formField(server.requests[0].body, 'timestamp_granularities[]'), undefined);
+
+      const result = await provider.transcribeDetailed(createAudio());
+      assert.strictEqual(formField(server.requests[1].body, 'response_format'), 'verbose_json');
+      assert.strictEqual(formField(server.requests[1].body, 'timestamp_granularities[]'), 'segment');
+      assert.strictEqual(result.provider, 'Nexara');
+      assert.strictEqual(result.segments.length, 2);
+    } finally {
+      await server.close();
+    }
+  }],
+
+  ['fallback passes on the detailed result of the provider that answered', async () => {
+    const broken = await startStandInServer({ status: 500, body: { error: 'down' } });
+    const working = await startStandInServer({ body: verboseJson });
+    try {
+      const fallback = new FallbackProvider({
+        providers: [
+          { name: 'first', provider: createNexara(broken.url) },
+          { name: 'second', provider: createNexara(working.url) }
+        ]
+      });
+
+      const result = await fallback.transcribeDetailed(createAudio());
+      assert.strictEqual(result.text, verboseJson.text);
+      assert.strictEqual(result.language, 'english');
+      assert.strictEqual(result.segments.length, 2);
+      assert.strictEqual(fallback.lastProviderName, 'second');
+      assert.strictEqual(formField(working.requests[0].body, 'response_format'), 'verbose_json');
+    } finally {
+      await broken.close();
+      await working.close();
+    }
+  }],
+
+  ['race resolves with the detailed result of the winner', async () => {
+    const slow = await startStandInServer({ hang: true });
+    const fast = await startStandInServer({ body: verboseJson });
+    try {
+      const race = new RaceProvider({
+        providers: [
+          { name: 'slow', provider: createNexara(slow.url) },
+          { name: 'fast', provider: createNexara(fast.url) }
+        ]
+      });
+
+      const result = await race.transcribeDetailed(createAudio());
+      assert.strictEqual(result.text, verboseJson.text);
+      assert.strictEqual(result.segments.length, 2);
+      assert.strictEqual(race.lastProviderName, 'fast');
+    } finally {
+      await slow.close();
+      await fast.close();
+    }
+  }],
+
+  ['the app asks for details only when TRANSCRIPTION_DETAILS is on', async () => {
+    for (const transcriptionDetails of [false, true]) {
+      const app = new VoiceInputApp({ transcriptionDetails, vocabularyPrompt: false, editingCommands: false });
+      const calls = [];
+      app.transcriber = {
+        transcribe: async () => {
+          calls.push('transcribe');
+          return verboseJson.text;
+        },
+        transcribeDetailed: async () => {
+          calls.push('transcribeDetailed');
+          return HttpTranscriptionProvider.parseVerboseJson(verboseJson);
+        }
+      };
+      app.events = [];
+      app.logger = {
+        logSession: (sessionId, type) => app.events.push(type),
+        logTranscription: () => {},
+        logError: () => {}
+      };
+
+      await app.transcribeAudio(createAudio());
+      assert.deepStrictEqual(calls, [transcriptionDetails ? 'transcribeDetailed' : 'transcribe']);
+      assert.strictEqual(app.events.includes('TRANSCRIPTION_DETAILS'), transcriptionDetails);
+    }
+  }]
+];
+
+runTests('transcription details', tests, { quiet: true });
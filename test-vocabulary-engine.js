@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test the vocabulary.json rule engine
+ * Usage: node test-vocabulary-engine.js
+ */
+
+const assert = require('assert');
+const VocabularyEngine = require('./src/VocabularyEngine');
+const { runTests } = require('./test-helpers');
+
+const fix = (vocabulary, text, options) => new VocabularyEngine(vocabulary).apply(text, options).text;
+
+const tests = [
+  ['matches whole words in any script', async () => {
+    const vocabulary = { replacements: { 'кубер': 'Kubernetes', 'api': 'API' } };
+    assert.strictEqual(fix(vocabulary, 'запусти кубер'), 'запусти Kubernetes');
+    assert.strictEqual(fix(vocabulary, 'кубернетес и куберы'), 'кубернетес и куберы');
+    assert.strictEqual(fix(vocabulary, 'rapid api call'), 'rapid API call');
+    assert.strictEqual(fix(vocabulary, 'apis'), 'apis');
+  }],
+
+  ['longest pattern wins and a replacement is never replaced again', async () => {
+    const vocabulary = { replacements: { 'докер': 'Docker', 'докер компоуз': 'docker compose', 'compose': 'COMPOSE' } };
+    assert.strictEqual(fix(vocabulary, 'запусти докер  компоуз и докер'), 'запусти docker compose и Docker');
+  }],
+
+  ['lowercase replacements follow the heard case, capitals are canonical', async () => {
+    const vocabulary = { replacements: { 'коммит': 'commit', 'апи': 'api', 'кубер': 'Kubernetes' } };
+    assert.strictEqual(fix(vocabulary, 'Коммит в АПИ'), 'Commit в API');
+    assert.strictEqual(fix(vocabulary, 'КУБЕР'), 'Kubernetes');
+    assert.strictEqual(VocabularyEngine.adaptCase('word', 'term'), 'term');
+  }],
+
+  ['rules run in order before replacements, with regex groups', async () => {
+    const engine = new VocabularyEngine({
+      rules: [
+        { regex: '(\\d+) процент(?:ов|а)?', replacement: '$1%' },
+        { regex: '(?<name>\\S+) точка ком', replacement: '$<name>.com' },
+        { match: 'кей вэлью', replacement: 'key-value' },
+        { match: 'key-value', replacement: 'KV' } // Later rules see earlier output
+      ]
+    });
+    const result = engine.apply('50 процентов на example точка ком, кей вэлью');
+    assert.strictEqual(result.text, '50% на example.com, KV');
+    assert.deepStrictEqual(result.fired.map(entry => entry.source), ['rules[0]', 'rules[1]', 'rules[2]', 'rules[3]']);
+  }],
+
+  ['rule options: wholeWord and caseSensitive', async () => {
+    const rules = [
+      { match: 'js', replacement: 'JS', wholeWord: false },
+      { match: 'Go', replacement: 'Golang', caseSensitive: true }
+    ];
+    assert.strictEqual(fix({ rules }, 'nodejs and Go, go home'), 'nodeJS and Golang, go home');
+  }],
+
+  ['an invalid regex is skipped, not applied to everything', async () => {
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+      const engine = new VocabularyEngine({ rules: [{ regex: '[', replacement: 'x' }, { match: 'a', replacement: 'b' }] });
+      assert.strictEqual(engine.apply('a cat').text, 'b cat');
+      assert.strictEqual(engine.getStats().rules, 1);
+      assert.match(warnings[0], /Skipping rules\[0\]/);
+    } finally {
+      console.warn = originalWarn;
+    }
+  }],
+
+  ['language sections apply to their language, or when it is unknown', async () => {
+    const vocabulary = {
+      replacements: { 'редис': 'Redis' },
+      languages: {
+        ru: { replacements: { 'пуш': 'push' } },
+        en: { replacements: { 'redis': 'Redis', 'push': 'PUSH' } }
+      }
+    };
+    assert.strictEqual(fix(vocabulary, 'пуш в редис push', { language: 'ru' }), 'push в Redis push');
+    assert.strictEqual(fix(vocabulary, 'пуш в редис redis', { language: 'en-US' }), 'пуш в Redis Redis');
+    assert.strictEqual(fix(vocabulary, 'пуш в редис', { language: 'russian' }), 'push в Redis');
+    assert.strictEqual(fix(vocabulary, 'пуш push'), 'push PUSH');
+  }],
+
+  ['matchesLanguage accepts codes, regions and Whisper names', async () => {
+    assert.strictEqual(VocabularyEngine.matchesLanguage('ru', 'ru'), true);
+    assert.strictEqual(VocabularyEngine.matchesLanguage('ru', 'ru-RU'), true);
+    assert.strictEqual(VocabularyEngine.matchesLanguage('ru', 'russian'), true);
+    assert.strictEqual(VocabularyEngine.matchesLanguage('ru', 'english'), false);
+  }],
+
+  ['terms and stats cover every section', async () => {
+    const engine = new VocabularyEngine({
+      terms: ['PostgreSQL'],
+      replacements: { 'кубер': 'Kubernetes' },
+      rules: [{ match: 'кей вэлью', replacement: 'key-value' }, { regex: '\\d+', replacement: '#' }],
+      languages: { ru: { terms: ['Яндекс'], replacements: { 'редис': 'Redis' } } }
+    });
+    assert.deepStrictEqual(engine.getTerms(), ['PostgreSQL', 'Яндекс', 'Kubernetes', 'Redis', 'key-value']);
+    assert.deepStrictEqual(engine.getStats(), { replacements: 2, rules: 2, terms: 2, languages: 1 });
+  }],
+
+  ['empty input and empty vocabulary are no-ops', async () => {
+    assert.deepStrictEqual(new VocabularyEngine().apply('text'), { text: 'text', fired: [] });
+    assert.deepStrictEqual(new VocabularyEngine({ replacements: { a: 'b' } }).apply(''), { text: '', fired: [] });
+  }]
+];
+
+runTests('vocabulary engine', tests);
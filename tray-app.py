@@ -35,6 +35,9 @@ class VoiceInputTray:
         # Build and set the menu
         self.build_menu()
 
+        # The daemon may start later and publish a different default
+        GLib.timeout_add_seconds(5, self.refresh_punctuation_item)
+
     def load_config(self):
         """Load configuration from config.json"""
         try:
@@ -81,6 +84,16 @@ class VoiceInputTray:
                 "notebookBuffer": current_config.get('notebookBuffer', [])
             }
 
+            # Only written once toggled, so SPOKEN_PUNCTUATION in .env stays the default
+            if 'spokenPunctuation' in config:
+                merged_config['spokenPunctuation'] = config['spokenPunctuation']
+            elif 'spokenPunctuation' in current_config:
+                merged_config['spokenPunctuation'] = current_config['spokenPunctuation']
+
+            # Written by the daemon on startup (mirrors SPOKEN_PUNCTUATION)
+            if 'spokenPunctuationDefault' in current_config:
+                merged_config['spokenPunctuationDefault'] = current_config['spokenPunctuationDefault']
+
             # Write merged config
             with open(self.config_path, 'w') as f:
                 json.dump(merged_config, f, indent=2)
@@ -129,6 +142,12 @@ class VoiceInputTray:
         self.suffix_item.connect("toggled", self.on_suffix_toggled)
         menu.append(self.suffix_item)
 
+        # Spoken punctuation checkbox ("запятая" -> ",", "new line" -> line break)
+        self.punctuation_item = Gtk.CheckMenuItem(label='Spoken Punctuation ("comma", "new line")')
+        self.punctuation_item.set_active(self.spoken_punctuation_enabled(self.config))
+        self.punctuation_handler = self.punctuation_item.connect("toggled", self.on_punctuation_toggled)
+        menu.append(self.punctuation_item)
+
         # Separator
         menu.append(Gtk.SeparatorMenuItem())
 
@@ -186,6 +205,31 @@ class VoiceInputTray:
         self.save_config()
         print(f"Add suffix: {self.config['addSuffix']}")
 
+    def spoken_punctuation_enabled(self, config):
+        """Effective setting: the tray toggle, else the daemon's SPOKEN_PUNCTUATION default"""
+        return config.get('spokenPunctuation', config.get('spokenPunctuationDefault', False))
+
+    def refresh_punctuation_item(self):
+        """Pick up the default the daemon publishes when it starts after the tray"""
+        try:
+            with open(self.config_path, 'r') as f:
+                current_config = json.load(f)
+        except (FileNotFoundError, json.JSONDecodeError):
+            return True
+
+        enabled = self.spoken_punctuation_enabled(current_config)
+        if self.punctuation_item.get_active() != enabled:
+            self.punctuation_item.handler_block(self.punctuation_handler)
+            self.punctuation_item.set_active(enabled)
+            self.punctuation_item.handler_unblock(self.punctuation_handler)
+        return True  # Keep the GLib timer running
+
+    def on_punctuation_toggled(self, widget):
+        """Handle spoken punctuation toggle"""
+        self.config['spokenPunctuation'] = widget.get_active()
+        self.save_config()
+        print(f"Spoken punctuation: {self.config['spokenPunctuation']}")
+
     def on_clear_buffer(self, widget):
         """Clear the notebook buffer"""
         try: